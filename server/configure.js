@@ -1,6 +1,7 @@
 //==================
 //CONFIGURATION
 //===================
+const os = require('os')
 const path = require('path')
 require('dotenv').config({
     path: path.resolve(__dirname, '../.env'),
@@ -27,6 +28,19 @@ const SQLiteStore = require('connect-sqlite3')(session)
 const Sentry = require('@sentry/node')
 const bodyParser = require('body-parser')
 const coreapi = require('./coreapi/coreapi')
+const { createTokenCache } = require('./coreapi/tokencache')
+const { startStandin } = require('./standin')
+const { verifyStandinIdToken } = require('./standin/googletoken')
+const { jobQueue } = require('./provisioning/jobs')
+const { createJobStore } = require('./provisioning/jobstore')
+const idempotency = require('./middleware/idempotency')
+const attribution = require('./middleware/attribution')
+const { originChecker } = require('./provisioning/origincheck')
+const { cnameGenerator } = require('./provisioning/cname')
+const plans = require('./provisioning/plans')
+const { welcomeEmailLimiter } = require('./provisioning/welcomeemail')
+const { googleTokenVerifier } = require('./googletoken')
+const { logger } = require('./logger')
 
 module.exports = (app) => {
     app.set('rootPath', path.resolve(__dirname, '../'))
@@ -34,6 +48,47 @@ module.exports = (app) => {
     // Make sure the client IP is set correctly behind proxies
     app.set('trust proxy', ['loopback', 'linklocal', 'uniquelocal'])
 
+    // Run against a local CoreAPI stand-in instead of the real CoreAPI.
+    // COREAPI_STANDIN can be 'memory' (or '1'), 'replay' or 'record'.
+    let standinReady = Promise.resolve()
+    if (process.env.COREAPI_STANDIN) {
+        const standinPort = process.env.COREAPI_STANDIN_PORT || 3100
+        const standinDefaults = {
+            SITE_URL: `http://localhost:${process.env.PORT || 3000}`,
+            COREAPI_CLIENT_ID: 'standin',
+            COREAPI_SECRET: 'standin',
+            COREAPI_SCOPE: 'standin',
+            GOOGLE_CLIENT_ID: 'standin',
+            GOOGLE_CLIENT_SECRET: 'standin',
+            GITHUB_CLIENT_ID: 'standin',
+            GITHUB_CLIENT_SECRET: 'standin',
+        }
+        for (let key in standinDefaults) {
+            if (process.env[key] === undefined) {
+                process.env[key] = standinDefaults[key]
+            }
+        }
+
+        const mode =
+            process.env.COREAPI_STANDIN === '1'
+                ? 'memory'
+                : process.env.COREAPI_STANDIN
+        standinReady = startStandin({
+            mode: mode,
+            port: standinPort,
+            targetURL: process.env.COREAPI_STANDIN_TARGET,
+            fixturesDir: process.env.COREAPI_STANDIN_FIXTURES,
+        })
+        process.env.COREAPI_URL = `http://127.0.0.1:${standinPort}`
+
+        // Accept unsigned Google ID tokens, unless the real CoreAPI is used
+        if (mode !== 'record') {
+            googleTokenVerifier.setOptions({
+                verifyIdToken: verifyStandinIdToken,
+            })
+        }
+    }
+
     requiredEnvVars.forEach((key) => {
         if (process.env[key] === undefined) {
             throw new Error(
@@ -44,6 +99,10 @@ module.exports = (app) => {
         }
     })
 
+    googleTokenVerifier.setOptions({
+        clientID: process.env.GOOGLE_CLIENT_ID,
+    })
+
     // Setup default env vars
     if (!process.env.APP_SECRET) {
         process.env.APP_SECRET = 'h3un3n893yn89c3g49y83n#$%VQ#q3v'
@@ -116,21 +175,157 @@ module.exports = (app) => {
         process.env.COREAPI_SCOPE
     )
 
-    coreapi
-        .getAccessToken()
-        .then(() => console.log('CoreAPI access token obtained'))
+    // Optional overrides of the CoreAPI timeout/retry/circuit breaker policy
+    const requestPolicyEnvVars = {
+        COREAPI_TIMEOUT: 'timeout',
+        COREAPI_RETRIES: 'retries',
+        COREAPI_CIRCUIT_THRESHOLD: 'failureThreshold',
+        COREAPI_CIRCUIT_RESET: 'resetTimeout',
+    }
+    let requestPolicy = {}
+    for (let key in requestPolicyEnvVars) {
+        if (process.env[key] !== undefined) {
+            requestPolicy[requestPolicyEnvVars[key]] = parseInt(
+                process.env[key],
+                10
+            )
+        }
+    }
+    coreapi.setRequestPolicy(requestPolicy)
+
+    // Where to keep the CoreAPI access token: 'file' (default), 'sqlite' or 'memory'.
+    // Use 'file' or 'sqlite' with a shared path to share one token between processes.
+    coreapi.setTokenCache(
+        createTokenCache(
+            process.env.COREAPI_TOKEN_CACHE_DRIVER || 'file',
+            process.env.COREAPI_TOKEN_CACHE_PATH
+                ? path.resolve(process.env.COREAPI_TOKEN_CACHE_PATH)
+                : os.tmpdir()
+        )
+    )
+
+    //==================
+    // Idempotency keys
+    //==================
+    // How long responses to requests with an Idempotency-Key are kept, in ms
+    if (process.env.IDEMPOTENCY_KEY_TTL !== undefined) {
+        idempotency.setTTL(parseInt(process.env.IDEMPOTENCY_KEY_TTL, 10))
+    }
+
+    //==================
+    // Campaign attribution
+    //==================
+    // The campaign credited for new subscriptions: 'last' (default) for the
+    // latest one that brought the visitor, 'first' for the first one
+    if (process.env.ATTRIBUTION_MODEL) {
+        attribution.setModel(process.env.ATTRIBUTION_MODEL)
+    }
+
+    //==================
+    // Origin checks
+    //==================
+    // ORIGIN_ALLOW_PRIVATE_ADDRESSES=1 allows origins on localhost or a private
+    // network.  Only use it for local development!
+    originChecker.setOptions({
+        allowPrivateAddresses:
+            process.env.ORIGIN_ALLOW_PRIVATE_ADDRESSES === '1',
+    })
+    if (process.env.ORIGIN_CHECK_TIMEOUT !== undefined) {
+        originChecker.setOptions({
+            timeout: parseInt(process.env.ORIGIN_CHECK_TIMEOUT, 10),
+        })
+    }
+
+    // Generated ImageEngine domains, ex: fydzoku1.cdn.  With
+    // CNAME_READABLE_PREFIX=1 they start with the account name instead, ex:
+    // foo-inc-fydzoku1.cdn
+    cnameGenerator.setOptions({
+        alphabet: process.env.CNAME_ALPHABET || undefined,
+        length: process.env.CNAME_LENGTH
+            ? parseInt(process.env.CNAME_LENGTH, 10)
+            : undefined,
+        readablePrefix: process.env.CNAME_READABLE_PREFIX === '1',
+    })
+
+    // ImageEngine plans customers can pick: IMAGEENGINE_PLANS_PATH is a JSON
+    // file with an array of plans, in the shape of a subscription's plan (see
+    // provisioning/plans).  IMAGEENGINE_ALLOWED_PLANS limits them, ex:
+    // IMAGEENGINE_ALLOWED_PLANS=IMAGEENGINE_BASIC,IMAGEENGINE_PRO.
+    if (process.env.IMAGEENGINE_PLANS_PATH) {
+        plans.setPlans(
+            require(path.resolve(process.env.IMAGEENGINE_PLANS_PATH))
+        )
+    }
+    if (process.env.IMAGEENGINE_ALLOWED_PLANS) {
+        plans.setAllowedPlans(
+            process.env.IMAGEENGINE_ALLOWED_PLANS.split(',')
+                .map((planID) => planID.trim())
+                .filter((planID) => planID !== '')
+        )
+    }
+    if (process.env.IMAGEENGINE_DEFAULT_PLAN) {
+        plans.setDefaultPlan(process.env.IMAGEENGINE_DEFAULT_PLAN)
+    }
+
+    // How many welcome emails can be sent per subscription in
+    // WELCOME_EMAIL_WINDOW milliseconds (default: 3 a day)
+    welcomeEmailLimiter.setOptions({
+        maxSends: process.env.WELCOME_EMAIL_MAX_SENDS
+            ? parseInt(process.env.WELCOME_EMAIL_MAX_SENDS, 10)
+            : undefined,
+        window: process.env.WELCOME_EMAIL_WINDOW
+            ? parseInt(process.env.WELCOME_EMAIL_WINDOW, 10)
+            : undefined,
+    })
+
+    //==================
+    // Provisioning jobs
+    //==================
+    // Where to keep provisioning jobs: 'sqlite' (default) or 'memory'.  With
+    // 'memory', jobs that were not finished are lost on restart.
+    jobQueue.setStore(
+        createJobStore(
+            process.env.PROVISIONING_JOBS_DRIVER || 'sqlite',
+            process.env.PROVISIONING_JOBS_PATH
+                ? path.resolve(process.env.PROVISIONING_JOBS_PATH)
+                : os.tmpdir()
+        )
+    )
+
+    standinReady
+        .then(() => coreapi.getAccessToken())
+        .then(() => logger.info('CoreAPI access token obtained'))
         .catch((err) =>
-            console.error(
-                `Failed to get CoreAPI access token: ${err}.  All functions requiring the CoreAPI will fail!`
+            logger.error(
+                'Failed to get CoreAPI access token.  All functions requiring the CoreAPI will fail!',
+                err
             )
         )
 
+    // Continue the provisioning jobs that were interrupted by a restart
+    standinReady
+        .then(() => jobQueue.resume())
+        .then((count) => {
+            if (count > 0) {
+                logger.info('Resumed provisioning jobs', { count: count })
+            }
+        })
+        .catch((err) => logger.error('Unable to resume provisioning jobs', err))
+
     //==================
     // MIDDLEWARE
     //==================
     app.use(bodyParser.json())
     app.use(bodyParser.urlencoded({ extended: true }))
 
+    // Request correlation id for logs and CoreAPI calls.  This must come
+    // after the body parsers, which lose track of the request context.
+    app.use(require('./middleware/requestid'))
+
+    // Remembers the campaign that brought the visitor, for lead gen.  Only
+    // the SSO link is tracked, the OAuth callback has the provider as Referer.
+    app.use(['/api/v1/coreapi', '/api/v1/auth/sso/github-url'], attribution)
+
     //==================
     // CONTROLLERS
     //==================
@@ -1,9 +1,23 @@
 const express = require('express')
 const coreapi = require('../coreapi/coreapi')
 const asyncroutes = require('../middleware/asyncroutes')
+const coreapiErrors = require('../middleware/coreapierrors')
+const requireLogin = require('../middleware/requirelogin')
+const idempotency = require('../middleware/idempotency')
+const attribution = require('../middleware/attribution')
+const { logger } = require('../logger')
+const { jobQueue, jobStatuses, describeJob } = require('../provisioning/jobs')
+const { originChecker } = require('../provisioning/origincheck')
+const { cnameGenerator } = require('../provisioning/cname')
+const dns = require('../provisioning/dns')
+const plans = require('../provisioning/plans')
+const {
+    welcomeEmailLimiter,
+    buildWelcomeEmail,
+} = require('../provisioning/welcomeemail')
+const { randomString } = require('../random')
+const { googleTokenVerifier, GoogleTokenError } = require('../googletoken')
 const maxmind = require('maxmind')
-const { OAuth2Client } = require('google-auth-library')
-const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID)
 const router = express.Router()
 
 // The characters used in auto-generated passwords
@@ -11,14 +25,15 @@ const passwordCharset =
     'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_=+:;,.<>/?|*^%$#@!'
 const generatedPasswordLength = 16
 
-// The characters used in auto-generated ImageEngine domains
-const domainCharset = 'abcdefghijklmnopqrstuvwxyz0123456789'
-const generatedDomainLength = 8
-const generatedDomainTLD = 'cdn'
+// How many origins can be given when creating an ImageEngine subscription
+const maxOrigins = 10
+
+// How many DNS record lookups a request may run at the same time
+const maxConcurrentDNSLookups = 4
 
 let geoipLookup = {
     get() {
-        console.log(
+        logger.warn(
             'GeoIP module not loaded, please check the env var GEOIP2_DATABASE'
         )
     },
@@ -28,7 +43,7 @@ if (process.env.GEOIP2_DATABASE) {
     maxmind
         .open(process.env.GEOIP2_DATABASE)
         .then((l) => (geoipLookup = l))
-        .catch((e) => console.log('Unable to load GeoIP database', e))
+        .catch((e) => logger.error('Unable to load GeoIP database', e))
 }
 
 // Promise version of the session destroy function
@@ -41,58 +56,192 @@ const logoutPromise = (req) => {
 const getMissingFields = (requiredFields, obj, allowEmpty) => {
     let missing = []
     requiredFields.forEach((field) => {
-        if (obj[field] === undefined || (!allowEmpty && obj[field] == '')) {
+        if (
+            obj[field] === undefined ||
+            obj[field] === null ||
+            (!allowEmpty && obj[field] == '')
+        ) {
             missing.push(field)
         }
     })
     return missing
 }
 
-const verifyGoogleToken = async (token, email) => {
-    const ticket = await client.verifyIdToken({
-        idToken: token,
-        audience: process.env.GOOGLE_CLIENT_ID,
-    })
-    /* Example payload:
-     * {
-     *   iss: 'accounts.google.com',
-     *   azp:
-     *   'qwertyuiopasdfghjklxcvbnm.apps.googleusercontent.com',
-     *   aud:
-     *   'qwertyuiopasdfghjklxcvbnm.apps.googleusercontent.com',
-     *   sub: '01234567890123456789',
-     *   email: 'stevekamerman@gmail.com',
-     *   email_verified: true,
-     *   at_hash: 'qwertyuiopasdfghjklxcvbnm',
-     *   name: 'Steve Kamerman',
-     *   picture:
-     *   'https://lh3.googleusercontent.com/a-/qwertyuiopasdfghjklxcvbnm',
-     *   given_name: 'Steve',
-     *   family_name: 'Kamerman',
-     *   locale: 'en',
-     *   iat: 1576115199,
-     *   exp: 1576118799,
-     *   jti: 'qwertyuiopasdfghjklxcvbnm'
-     * }
-     */
-    const payload = ticket.getPayload()
-    if (email.toLowerCase() !== payload.email.toLowerCase()) {
-        throw new Error('user identity forging detected')
+// Returns true if the given string is a valid DNS hostname with at least two
+// labels, ex: images.example.com
+const isValidHostname = (hostname) => {
+    const labelRegex = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i
+    const labels = hostname.split('.')
+    return (
+        hostname.length <= 253 &&
+        labels.length >= 2 &&
+        labels.every((label) => labelRegex.test(label)) &&
+        // The top level domain can't be numeric, that would be an IP address
+        !/^[0-9]+$/.test(labels[labels.length - 1])
+    )
+}
+
+// Validates the fields of the origins of a new ImageEngine subscription.
+// Returns {origins} with the normalized origins, or {error} with a message.
+// The URLs still need to be checked with originChecker.validate().
+const parseOrigins = (origins) => {
+    if (!Array.isArray(origins) || origins.length === 0) {
+        return { error: 'origins must be a non-empty array' }
+    }
+    if (origins.length > maxOrigins) {
+        return {
+            error: `A subscription can have at most ${maxOrigins} origins`,
+        }
+    }
+
+    let parsed = []
+    for (const origin of origins) {
+        if (origin === null || typeof origin !== 'object' || !origin.name) {
+            return { error: 'Every origin must have a name' }
+        }
+        const name = String(origin.name)
+        if (parsed.some((other) => other.name === name)) {
+            return { error: `Duplicate origin name: ${name}` }
+        }
+
+        let url = null
+        try {
+            url = new URL(origin.url)
+        } catch (err) {
+            return { error: `Unable to parse URL of origin ${name}` }
+        }
+
+        const hostname = origin.hostname ? String(origin.hostname) : ''
+        if (hostname && !isValidHostname(hostname)) {
+            return { error: `Invalid hostname of origin ${name}` }
+        }
+
+        parsed.push({
+            name: name,
+            url: url.toString().replace(/\/+$/, ''),
+            hostname: hostname,
+        })
+    }
+    return { origins: parsed }
+}
+
+// Gets the logged in user's ImageEngine subscription with the given ID,
+// or null if it does not exist or belongs to someone else
+const getOwnedSubscription = async (req, subscriptionID) => {
+    const subscriptions = await coreapi.getImageEngineSubscriptions(
+        req.session.userContext.userID
+    )
+    return subscriptions.find((sub) => sub.id == subscriptionID) || null
+}
+
+// Gets a domain or origin through the given getter, or null if it does not
+// exist or does not belong to one of the logged in user's subscriptions
+const getOwnedResource = async (req, getter, id) => {
+    let resource = null
+    try {
+        resource = await getter(id)
+    } catch (err) {
+        if (err instanceof coreapi.errors.CoreApiNotFoundError) {
+            return null
+        }
+        throw err
     }
 
-    return payload
+    const subscription = await getOwnedSubscription(
+        req,
+        resource.subscription_id
+    )
+    return subscription ? resource : null
+}
+
+// Gets the logged in user's provisioning job with the given ID, or null if it
+// does not exist or belongs to someone else
+const getOwnedJob = async (req, jobID) => {
+    const job = await jobQueue.get(jobID)
+    if (job === null || job.userID !== req.session.userContext.userID) {
+        return null
+    }
+    return job
 }
 
-const randomString = (length, charset) => {
-    let retVal = ''
-    for (let i = 0; i < length; i++) {
-        retVal += charset.charAt(Math.floor(Math.random() * charset.length))
+// Calls fn on every item, at most limit calls at a time, and returns the
+// results in the order of the items
+const mapConcurrently = async (items, limit, fn) => {
+    const results = new Array(items.length)
+    let next = 0
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++
+            results[index] = await fn(items[index])
+        }
+    }
+    const workers = []
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker())
     }
-    return retVal
+    await Promise.all(workers)
+    return results
+}
+
+// Sends a 404 response in the standard format
+const sendNotFound = (res, message) => {
+    res.status(404).send({
+        success: false,
+        status: 404,
+        message: message,
+        result: {},
+    })
+}
+
+// Sends a 400 response in the standard format
+const sendBadRequest = (res, message) => {
+    res.status(400).send({
+        success: false,
+        status: 400,
+        message: message,
+        result: {},
+    })
 }
 
+// How long the session cookie is kept when logging in with "Remember me"
+const rememberMeMaxAge = 30 * 24 * 3600 * 1000
+
 const emailRegex = /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/
 
+// Reports the health of the CoreAPI connection
+// GET /api/v1/coreapi/status
+// Response (503 while the circuit is open):
+// {
+//     success: true,
+//     status: 200,
+//     message: null,
+//     result: {
+//         circuit: {
+//             state: 'closed',
+//             failures: 0,
+//             openedAt: null,
+//             retryAt: null
+//         }
+//     }
+// }
+router.get(
+    '/status',
+    asyncroutes(async (req, res) => {
+        const circuit = coreapi.getCircuitState()
+        const available = circuit.state !== 'open'
+        const response = {
+            success: available,
+            status: available ? 200 : 503,
+            message: available ? null : 'CoreAPI is unavailable',
+            result: {
+                circuit: circuit,
+            },
+        }
+
+        res.status(response.status).send(response)
+    })
+)
+
 router.get(
     '/checkemail/:email',
     asyncroutes(async (req, res) => {
@@ -101,11 +250,30 @@ router.get(
         })
 
         res.send({
-            exists: details.data.length > 0,
+            exists: details.items.length > 0,
         })
     })
 )
 
+// Log in with an email and password.  With remember, the session cookie is
+// kept for rememberMeMaxAge instead of until the browser is closed.
+// POST /api/v1/coreapi/login
+// {
+//     "email": "foobar104@gmail.com",
+//     "password": "foopass",
+//     "remember": true // optional
+// }
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: 'Login successful',
+//     result: {
+//         user_id: 12345,
+//         email: 'foobar104@gmail.com'
+//     }
+// }
+// A user who is already logged in gets a 400 with result.alreadyLoggedIn
 router.post(
     '/login',
     asyncroutes(async (req, res) => {
@@ -118,6 +286,7 @@ router.post(
 
         if (req.session.userContext) {
             response.message = 'You must logout to access this resource'
+            response.result.alreadyLoggedIn = true
             res.status(response.status).send(response)
             return
         }
@@ -139,57 +308,151 @@ router.post(
             return
         }
 
+        let user = null
         try {
-            const result = await coreapi.checkCredentials(
-                email,
-                req.body.password
-            )
+            user = await coreapi.checkCredentials(email, req.body.password)
+        } catch (err) {
+            if (!(err instanceof coreapi.errors.CoreApiValidationError)) {
+                throw err
+            }
 
             // Authentication failed
-            if (result.status === 400) {
-                response.success = true
-                response.status = 400
-                response.message = 'User authentication failed'
-                res.status(response.status).send(response)
-                return
-            }
+            response.success = true
+            response.status = 400
+            response.message = 'User authentication failed'
+            res.status(response.status).send(response)
+            return
+        }
 
-            if (result.status !== 200) {
-                response.success = result.success
-                response.status = result.status
-                response.message = result.message
-                res.status(response.status).send(response)
-                return
-            }
+        // Successful
+        response.message = 'Login successful'
+        response.success = true
+        response.status = 200
+        response.result.user_id = user.id
+        response.result.email = user.email
+
+        // Log in user
+        req.session.userContext = {
+            loggedIn: true,
+            isSSO: false,
+            justRegistered: true,
+            userID: user.id,
+            email: user.email,
+        }
+        if (req.body.remember) {
+            req.session.cookie.maxAge = rememberMeMaxAge
+        }
 
-            // Successful
-            response.message = 'Login successful'
-            response.success = result.success
-            response.status = result.status
-            response.result.user_id = result.data.id
-            response.result.email = result.data.email
+        res.status(response.status).send(response)
+    })
+)
 
-            // Log in user
-            req.session.userContext = {
-                loggedIn: true,
-                isSSO: false,
-                justRegistered: true,
-                userID: result.data.id,
-                email: result.data.email,
-            }
+// Log in an existing user with Google Sign-In.  Users without an account get
+// a 404 with result.userExists false, they must register with POST /user.
+// POST /api/v1/coreapi/login/google
+// {
+//     "google_token": "eyJhbGciOiJSUzI1NiIs...", // ID token from Google Sign-In
+//     "remember": true // optional
+// }
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: 'Login successful',
+//     result: {
+//         userExists: true,
+//         user_id: 12345,
+//         email: 'foobar104@gmail.com'
+//     }
+// }
+router.post(
+    '/login/google',
+    asyncroutes(async (req, res) => {
+        let response = {
+            success: false,
+            status: 400,
+            message: null,
+            result: {},
+        }
 
+        if (req.session.userContext) {
+            response.message = 'You must logout to access this resource'
+            response.result.alreadyLoggedIn = true
             res.status(response.status).send(response)
             return
+        }
+
+        let payload = null
+        try {
+            payload = await googleTokenVerifier.verify(req.body.google_token)
         } catch (err) {
-            response.success = false
-            response.status = 500
-            response.message = 'Authentication server error'
+            if (!(err instanceof GoogleTokenError)) {
+                throw err
+            }
+            response.message = err.message
+            res.status(response.status).send(response)
+            return
+        }
+
+        const details = await coreapi.searchUsers({
+            email: payload.email.toLowerCase(),
+        })
+        if (details.items.length === 0) {
+            response.status = 404
+            response.message = 'There is no account for this Google account'
+            response.result.userExists = false
             res.status(response.status).send(response)
             return
         }
+
+        const user = details.items[0]
+        response.success = true
+        response.status = 200
+        response.message = 'Login successful'
+        response.result = {
+            userExists: true,
+            user_id: user.id,
+            email: user.email,
+        }
+
+        req.session.userContext = {
+            loggedIn: true,
+            isSSO: true,
+            justRegistered: false,
+            userID: user.id,
+            email: user.email,
+            picture: payload.picture || null,
+        }
+        if (req.body.remember) {
+            req.session.cookie.maxAge = rememberMeMaxAge
+        }
+
+        res.status(response.status).send(response)
     })
 )
 
+// Gets the settings of Google Sign-In in the browser
+// GET /api/v1/coreapi/login/google/config
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: null,
+//     result: {
+//         clientID: 'qwertyuiopasdfghjklxcvbnm.apps.googleusercontent.com'
+//     }
+// }
+router.get('/login/google/config', (req, res) => {
+    res.send({
+        success: true,
+        status: 200,
+        message: null,
+        result: {
+            clientID: googleTokenVerifier.clientID,
+        },
+    })
+})
+
 router.get(
     '/logout',
     asyncroutes(async (req, res) => {
@@ -214,11 +477,135 @@ router.get(
     })
 )
 
-// Create a new user
+// Sends a password reset email.  The response is the same whether or not the
+// email has an account, so it can't be used to find out who has one.
+// POST /api/v1/coreapi/password-reset
+// {
+//     "email": "foobar104@gmail.com"
+// }
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: 'If this email has an account, a password reset email was sent',
+//     result: {}
+// }
+router.post(
+    '/password-reset',
+    asyncroutes(async (req, res) => {
+        const missingFields = getMissingFields(['email'], req.body, false)
+        if (missingFields.length > 0) {
+            sendBadRequest(
+                res,
+                `Missing required field(s): ${missingFields.join(', ')}`
+            )
+            return
+        }
+
+        const email = String(req.body.email).toLowerCase()
+        if (!emailRegex.test(email)) {
+            sendBadRequest(res, 'Invalid email address provided')
+            return
+        }
+
+        try {
+            await coreapi.sendPasswordResetEmail({
+                email: email,
+                template: 'imageengine',
+            })
+        } catch (err) {
+            if (!(err instanceof coreapi.errors.CoreApiNotFoundError)) {
+                throw err
+            }
+            logger.info('Password reset requested for an unknown email')
+        }
+
+        res.send({
+            success: true,
+            status: 200,
+            message:
+                'If this email has an account, a password reset email was sent',
+            result: {},
+        })
+    })
+)
+
+// Gets the logged in user: the session's user context and the CoreAPI user
+// with their subscriptions and country.  A session whose user no longer
+// exists is logged out.
+// GET /api/v1/coreapi/me
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: null,
+//     result: {
+//         userContext: {
+//             loggedIn: true,
+//             isSSO: false,
+//             justRegistered: false,
+//             userID: 12345,
+//             email: 'foobar104@gmail.com'
+//         },
+//         user: {
+//             id: 12345,
+//             username: 'foobar104@gmail.com',
+//             email: 'foobar104@gmail.com',
+//             first_name: 'Foo',
+//             last_name: 'Bar',
+//             subscriptions: [...],
+//             country: { country_id: 230, code: 'US', name: 'United States' },
+//             ...
+//         }
+//     }
+// }
+router.get(
+    '/me',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const userContext = req.session.userContext
+        let user = null
+        try {
+            user = await coreapi.getUserByID(userContext.userID, [
+                'subscriptions',
+                'country',
+            ])
+        } catch (err) {
+            if (!(err instanceof coreapi.errors.CoreApiNotFoundError)) {
+                throw err
+            }
+            req.session.userContext = null
+            res.status(401).send({
+                success: false,
+                status: 401,
+                message: 'You must be logged in to access this resource',
+                result: {},
+            })
+            return
+        }
+
+        res.set('Cache-Control', 'no-store')
+        res.send({
+            success: true,
+            status: 200,
+            message: null,
+            result: {
+                userContext: userContext,
+                user: user,
+            },
+        })
+    })
+)
+
+// Create a new user.  Send an Idempotency-Key header to make retries safe
+// (see middleware/idempotency).
 // POST /api/v1/coreapi/user
 // {
 //     "email": "foobar104@gmail.com",
-//     "password": "foopass"
+//     "password": "foopass", // 5 to 32 characters
+//     "country_id": 230,
+//     "first_name": "Foo", // optional
+//     "last_name": "Bar" // optional
 // }
 // Successful Response:
 // Status Code: 201
@@ -239,6 +626,7 @@ router.get(
 // }
 router.post(
     '/user',
+    idempotency,
     asyncroutes(async (req, res) => {
         let response = {
             success: false,
@@ -261,27 +649,41 @@ router.post(
         let email = ''
         let password = ''
         let additionalAttributes = {}
+        // Avatar of Google accounts
+        let picture = null
 
         // Create the account using Google account information
         if (req.body.google_token) {
             isSSO = true
-            additionalAttributes.first_name = req.body.first_name
-            additionalAttributes.last_name = req.body.last_name
-            // Don't check for password when using SSO
-            requiredFields = ['email']
-            email = req.body.email
+            // The email and name come from the token, not the request, and
+            // the password is generated
+            requiredFields = ['country_id']
+            let payload = null
             try {
-                await verifyGoogleToken(req.body.google_token, email)
-                // Setup the user with a random password since we don't have one to use
-                password = randomString(
-                    generatedPasswordLength,
-                    passwordCharset
+                payload = await googleTokenVerifier.verify(
+                    req.body.google_token
                 )
             } catch (err) {
-                response.message = 'Google token verification failed'
+                if (!(err instanceof GoogleTokenError)) {
+                    throw err
+                }
+                response.message = err.message
                 res.status(response.status).send(response)
                 return
             }
+            email = payload.email.toLowerCase()
+            if (req.body.email && req.body.email.toLowerCase() !== email) {
+                response.message = 'The email does not match the Google account'
+                res.status(response.status).send(response)
+                return
+            }
+            additionalAttributes.first_name =
+                payload.given_name || req.body.first_name
+            additionalAttributes.last_name =
+                payload.family_name || req.body.last_name
+            picture = payload.picture || null
+            // Setup the user with a random password since we don't have one to use
+            password = randomString(generatedPasswordLength, passwordCharset)
         }
 
         // Create the account using Github account information
@@ -340,6 +742,17 @@ router.post(
                 res.status(response.status).send(response)
                 return
             }
+
+            if (req.body.first_name) {
+                additionalAttributes.first_name = String(
+                    req.body.first_name
+                ).trim()
+            }
+            if (req.body.last_name) {
+                additionalAttributes.last_name = String(
+                    req.body.last_name
+                ).trim()
+            }
         }
 
         // New user model
@@ -364,7 +777,7 @@ router.post(
         // Check if email is already registered
         // We don't really need to do this since the account creation step will also do it
         const details = await coreapi.searchUsers({ email: email })
-        if (details.data.length > 0) {
+        if (details.items.length > 0) {
             // User is already registered, check their password
             response.result.userExists = true
 
@@ -375,12 +788,13 @@ router.post(
                     loggedIn: true,
                     isSSO: isSSO,
                     justRegistered: false,
-                    userID: details.data[0].id,
-                    email: details.data[0].email,
+                    userID: details.items[0].id,
+                    email: details.items[0].email,
+                    picture: picture,
                 }
 
-                response.result.user_id = details.data[0].id
-                response.result.email = details.data[0].email
+                response.result.user_id = details.items[0].id
+                response.result.email = details.items[0].email
                 response.success = true
                 response.status = 200
                 response.message = 'User login successful'
@@ -388,26 +802,12 @@ router.post(
                 return
             }
 
+            let user = null
             try {
-                const result = await coreapi.checkCredentials(email, password)
-
-                if (result.status === 200) {
-                    // Log in user
-                    req.session.userContext = {
-                        loggedIn: true,
-                        isSSO: isSSO,
-                        justRegistered: false,
-                        userID: result.data.id,
-                        email: result.data.email,
-                    }
-
-                    response.result.user_id = result.data.id
-                    response.result.email = result.data.email
-                    response.success = true
-                    response.status = 200
-                    response.message = 'User login successful'
-                    res.status(response.status).send(response)
-                    return
+                user = await coreapi.checkCredentials(email, password)
+            } catch (err) {
+                if (!(err instanceof coreapi.errors.CoreApiValidationError)) {
+                    throw err
                 }
 
                 // Authentication failed
@@ -416,46 +816,46 @@ router.post(
                 response.message = 'User authentication failed'
                 res.status(response.status).send(response)
                 return
-            } catch (err) {
-                response.message = 'Unable to create user'
-                response.success = false
-                response.status = 500
-                res.status(response.status).send(response)
-                return
             }
-        }
 
-        try {
-            // Create the user
-            const result = await coreapi.createUser(newUser)
-
-            response.success = result.success
-            response.status = result.status
-            response.message = result.message
-            response.result.user_id = result.data.id
-            response.result.email = email
-
-            if (result.status === 201 && result.data.id) {
-                response.message = 'User created sucessfully'
-
-                // Log in user
-                req.session.userContext = {
-                    loggedIn: true,
-                    isSSO: isSSO,
-                    justRegistered: true,
-                    userID: result.data.id,
-                    email: email,
-                }
+            // Log in user
+            req.session.userContext = {
+                loggedIn: true,
+                isSSO: isSSO,
+                justRegistered: false,
+                userID: user.id,
+                email: user.email,
             }
+
+            response.result.user_id = user.id
+            response.result.email = user.email
+            response.success = true
+            response.status = 200
+            response.message = 'User login successful'
             res.status(response.status).send(response)
             return
-        } catch (err) {
-            response.message = err.message
-            response.success = false
-            response.status = 500
-            res.status(response.status).send(response)
-            return
         }
+
+        // Create the user
+        const user = await coreapi.createUser(newUser)
+
+        response.success = true
+        response.status = 201
+        response.message = 'User created sucessfully'
+        response.result.user_id = user.id
+        response.result.email = email
+
+        // Log in user
+        req.session.userContext = {
+            loggedIn: true,
+            isSSO: isSSO,
+            justRegistered: true,
+            userID: user.id,
+            email: email,
+            picture: picture,
+        }
+
+        res.status(response.status).send(response)
     })
 )
 
@@ -489,230 +889,1170 @@ router.get(
     })
 )
 
-router.post(
-    '/imageengine',
+// Lists all countries, for the registration form
+// GET /api/v1/coreapi/countries
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: null,
+//     result: {
+//         countries: [
+//             { country_id: 230, code: 'US', name: 'United States' },
+//             ...
+//         ]
+//     }
+// }
+router.get(
+    '/countries',
     asyncroutes(async (req, res) => {
-        let response = {
-            success: false,
-            status: 400,
+        const countries = await coreapi.getCountries()
+
+        res.set('Cache-Control', 'public, max-age=3600')
+        res.send({
+            success: true,
+            status: 200,
             message: null,
-            result: {},
-        }
+            result: {
+                countries: countries,
+            },
+        })
+    })
+)
 
-        if (!req.session.userContext || !req.session.userContext.userID) {
-            response.message = 'You must be logged in to access this resource'
-            res.status(response.status).send(response)
+// Checks that an origin can be used by ImageEngine: the URL must be http or
+// https on a public address, and the sample image (optional) must be
+// reachable and be an image.  problem is null if the origin is fine, see
+// provisioning/origincheck for the other values.
+// POST /api/v1/coreapi/origin/check
+// {
+//     origin: 'https://images.foo.com',
+//     samplePath: '/products/shoe.jpg', // optional
+// }
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: "The origin responded with HTTP status 404",
+//     result: {
+//         diagnosis: {
+//             ok: false,
+//             url: 'https://images.foo.com/products/shoe.jpg',
+//             problem: 'http_error',
+//             message: 'The origin responded with HTTP status 404',
+//             status: 404,
+//             contentType: 'text/html'
+//         }
+//     }
+// }
+router.post(
+    '/origin/check',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const missingFields = getMissingFields(['origin'], req.body, false)
+        if (missingFields.length > 0) {
+            res.status(400).send({
+                success: false,
+                status: 400,
+                message: `Missing required field(s): ${missingFields.join(
+                    ', '
+                )}`,
+                result: {},
+            })
             return
         }
 
-        const userID = req.session.userContext.userID
-        const requiredFields = ['accountName', 'origin']
-        const missingFields = getMissingFields(requiredFields, req.body, false)
-        if (missingFields.length > 0) {
-            response.message = `Missing required field(s): ${missingFields.join(
-                ', '
-            )}`
+        const diagnosis = await originChecker.probe(
+            String(req.body.origin),
+            req.body.samplePath ? String(req.body.samplePath) : null
+        )
+
+        res.send({
+            success: true,
+            status: 200,
+            message: diagnosis.message,
+            result: {
+                diagnosis: diagnosis,
+            },
+        })
+    })
+)
+
+// Starts provisioning a new ImageEngine subscription for the logged in user.
+// Provisioning runs in the background as a job, follow it with
+// GET /imageengine/jobs/:id or GET /imageengine/jobs/:id/events.  Send an
+// Idempotency-Key header to make retries safe (see middleware/idempotency).
+// POST /api/v1/coreapi/imageengine
+// {
+//     accountName: 'Foo Inc',
+//     origin: 'https://images.foo.com', // a single origin named 'default', or:
+//     origins: [
+//         { name: 'default', url: 'https://images.foo.com', hostname: '' },
+//         { name: 'products', url: 'https://foo-products.s3.amazonaws.com' },
+//     ],
+//     domainOrigin: 'products', // optional, the origin the domain uses (default: the first one)
+//     hostname: 'images.foo.com', // optional, custom hostname instead of the generated one
+//     regions: ['eu-west-1', 'eu-central-1'], // optional, AWS regions serving the domain
+//     planID: 'IMAGEENGINE_PRO', // optional, see GET /imageengine/plans (default: IMAGEENGINE_DEFAULT_PLAN)
+//     demoID: '5ef5b29f-94de-4bc8-a211-34e8801174b2', // optional
+//     domain: '', // optional
+//     campaignName: '', // optional, overrides the campaign captured by middleware/attribution
+//     queryString: 'utm_source=foo', // optional, overrides the campaign captured by middleware/attribution
+// }
+// Response:
+// {
+//     success: true,
+//     status: 202,
+//     message: 'ImageEngine provisioning started',
+//     result: {
+//         job: {
+//             id: '2c5ea4c04e2b4b8e8a3a2d1f6c1b7c11',
+//             type: 'imageengine',
+//             status: 'queued',
+//             steps: null,
+//             failedStep: null,
+//             result: null,
+//             createdAt: '2020-11-25T10:00:00.000Z',
+//             updatedAt: '2020-11-25T10:00:00.000Z'
+//         }
+//     }
+// }
+router.post(
+    '/imageengine',
+    requireLogin,
+    idempotency,
+    asyncroutes(async (req, res) => {
+        let response = {
+            success: false,
+            status: 400,
+            message: null,
+            result: {},
+        }
+
+        const userID = req.session.userContext.userID
+        const missingFields = getMissingFields(['accountName'], req.body, false)
+        if (!req.body.origin && !req.body.origins) {
+            missingFields.push('origins')
+        }
+        if (missingFields.length > 0) {
+            response.message = `Missing required field(s): ${missingFields.join(
+                ', '
+            )}`
             res.status(response.status).send(response)
             return
         }
 
-        let originURL = ''
-        try {
-            originURL = new URL(req.body.origin)
-        } catch (err) {
-            response.message = 'Unable to parse origin URL'
-            response.success = false
-            response.status = 400
+        const parsed = parseOrigins(
+            req.body.origins || [{ name: 'default', url: req.body.origin }]
+        )
+        if (parsed.error) {
+            response.message = parsed.error
             res.status(response.status).send(response)
             return
         }
+        const origins = parsed.origins
+        for (const origin of origins) {
+            const diagnosis = await originChecker.validate(origin.url)
+            if (!diagnosis.ok) {
+                response.message = `Origin ${origin.name}: ${diagnosis.message}`
+                response.result = {
+                    origin: origin.name,
+                    diagnosis: diagnosis,
+                }
+                res.status(response.status).send(response)
+                return
+            }
+        }
 
-        // New subscription model
-        let newSub = {
-            type: 'imgeng',
-            plan_id: 'IMAGEENGINE_BASIC',
-            payment_type: 'TRIAL',
-            user_id: userID,
-            account_name: req.body.accountName,
-            demo_id: req.body.demoID,
-            pro_standard: false,
-            use_defaults: true,
+        // The origin the domain uses
+        const domainOriginName =
+            req.body.domainOrigin !== undefined
+                ? String(req.body.domainOrigin)
+                : origins[0].name
+        const domainOrigin = origins.find(
+            (origin) => origin.name === domainOriginName
+        )
+        if (!domainOrigin) {
+            response.message = `Unknown domainOrigin: ${domainOriginName}`
+            res.status(response.status).send(response)
+            return
         }
 
-        const originURLStr = originURL.toString().replace(/\/+$/, '')
+        let hostname = ''
+        if (req.body.hostname) {
+            hostname = String(req.body.hostname).toLowerCase()
+            if (
+                !isValidHostname(hostname) ||
+                hostname.endsWith('.' + cnameGenerator.tld)
+            ) {
+                response.message = 'Invalid hostname'
+                res.status(response.status).send(response)
+                return
+            }
+        }
 
-        const originType = originURL.protocol.replace(/:$/, '')
+        let regions = null
+        if (req.body.regions !== undefined) {
+            const resolved = await dns.resolveRegions(coreapi, req.body.regions)
+            if (resolved.error) {
+                response.message = resolved.error
+                res.status(response.status).send(response)
+                return
+            }
+            regions = resolved.regions
+        }
 
-        // New domain model
-        const generatedDomainName =
-            randomString(generatedDomainLength, domainCharset) +
-            '.' +
-            generatedDomainTLD
-        let newDomain = {
-            subscription_id: -1,
-            url: originURLStr,
-            hostname: '',
-            cname: generatedDomainName,
-            url_type: originType,
-            origin_conf_id: 0,
-            iam_flag: 0,
-            ie_only_flag: 0,
-            allow_origin_prefix: 1,
-            custom_wildcard_flag: 0,
-            transition_time: 300,
+        const planID =
+            req.body.planID !== undefined
+                ? String(req.body.planID)
+                : plans.getDefaultPlanID()
+        const plan = plans.findAllowedPlan(planID)
+        if (plan === null) {
+            response.message = `Invalid plan: ${planID}`
+            res.status(response.status).send(response)
+            return
         }
 
-        // New origin model
-        let newOrigin = {
-            // Origin details
-            subscription_id: -1,
-            name: 'default',
-            url: originURLStr,
-            hostname: '',
-            url_type: originType,
-            origin_conf_id: 0, // this must be set to the domain_conf ID above (I know it looks wrong)
+        // Lead gen, from the client or from the campaign the session captured
+        let leadGen = {
+            campaignName: req.body.campaignName || '',
+            queryString: req.body.queryString || '',
+            dateReferred: new Date().toISOString(),
+        }
+        const touch = attribution.getTouch(req.session)
+        if (!req.body.queryString && !req.body.campaignName && touch) {
+            leadGen = {
+                campaignName: attribution.getCampaignName(touch),
+                queryString: touch.queryString,
+                dateReferred: touch.date,
+            }
         }
 
-        // New image_engine_demo_runs model
-        let newDemoRun = {
-            subscription_id: -1,
-            demo_id: req.body.demoID,
-            domain: req.body.domain,
-            url: req.body.origin,
+        const job = await jobQueue.enqueue(
+            'imageengine',
+            {
+                userID: userID,
+                accountName: req.body.accountName,
+                planID: plan.key,
+                paymentType: plans.getPaymentType(plan),
+                origins: origins,
+                domainOrigin: domainOrigin.name,
+                hostname: hostname,
+                regions: regions,
+                demoID: req.body.demoID,
+                demoDomain: req.body.domain,
+                demoURL: domainOrigin.url,
+                campaignName: leadGen.campaignName,
+                queryString: leadGen.queryString,
+                dateReferred: leadGen.dateReferred,
+                // Send Password Reset Email if signed in via SSO AND a new user was created
+                sendPasswordReset:
+                    req.session.userContext.isSSO &&
+                    req.session.userContext.justRegistered,
+            },
+            userID
+        )
+
+        response.success = true
+        response.status = 202
+        response.message = 'ImageEngine provisioning started'
+        response.result = {
+            job: describeJob(job),
         }
 
-        let leadGenReferrer = {
-            data: null,
+        res.status(response.status).send(response)
+    })
+)
+
+// Gets the progress of a provisioning job of the logged in user.  When the
+// job succeeded, result has the provisioned user, subscription, origins,
+// domain, dns, demo and leadGen.  When it failed, the steps before failedStep
+// were rolled back.
+// GET /api/v1/coreapi/imageengine/jobs/2c5ea4c04e2b4b8e8a3a2d1f6c1b7c11
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: null,
+//     result: {
+//         job: {
+//             id: '2c5ea4c04e2b4b8e8a3a2d1f6c1b7c11',
+//             type: 'imageengine',
+//             status: 'failed', // 'queued', 'running', 'succeeded' or 'failed'
+//             steps: [
+//                 { name: 'subscription', status: 'rolled_back' },
+//                 { name: 'domain', status: 'rolled_back' },
+//                 { name: 'origins', status: 'rolled_back' },
+//                 { name: 'dns', status: 'failed', error: 'CoreAPI server error' },
+//                 { name: 'demoRun', status: 'pending' },
+//                 { name: 'leadGen', status: 'pending' },
+//                 { name: 'passwordReset', status: 'pending' },
+//             ],
+//             failedStep: 'dns',
+//             result: null,
+//             createdAt: '2020-11-25T10:00:00.000Z',
+//             updatedAt: '2020-11-25T10:00:04.000Z'
+//         }
+//     }
+// }
+router.get(
+    '/imageengine/jobs/:id',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const job = await getOwnedJob(req, req.params.id)
+        if (job === null) {
+            sendNotFound(res, 'Job not found')
+            return
         }
 
-        try {
-            // Create the ImageEngine subscription
-            const result = await coreapi.createImageEngineSubscription(newSub)
-            const user = result.data.user
-            const subscription = result.data.subscription
-
-            response.success = result.success
-            response.status = result.status
-            response.message = result.message
-
-            // Create the domain configuration
-            newDomain.subscription_id = subscription.id
-            const domainResult = await coreapi.createImageEngineDomain(
-                newDomain
-            )
+        res.send({
+            success: true,
+            status: 200,
+            message: null,
+            result: {
+                job: describeJob(job),
+            },
+        })
+    })
+)
 
-            // Create the origin configuration
-            newOrigin.subscription_id = subscription.id
-            newOrigin.origin_conf_id = domainResult.data.id
-            const originResult = await coreapi.createImageEngineOrigin(
-                newOrigin
-            )
+// Streams the progress of a provisioning job as Server-Sent Events.  A
+// 'progress' event with the job (see above) is sent right away and after
+// every change.  The stream ends with a 'done' event once the job succeeded
+// or failed.
+// GET /api/v1/coreapi/imageengine/jobs/2c5ea4c04e2b4b8e8a3a2d1f6c1b7c11/events
+router.get(
+    '/imageengine/jobs/:id/events',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const job = await getOwnedJob(req, req.params.id)
+        if (job === null) {
+            sendNotFound(res, 'Job not found')
+            return
+        }
 
-            // Create the ImageEngine Demo Run
-            newDemoRun.subscription_id = subscription.id
-            const demoRunResults = await coreapi.createImageEngineDemoRun(
-                newDemoRun
-            )
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            // Don't let nginx buffer the stream
+            'X-Accel-Buffering': 'no',
+        })
+        res.flushHeaders()
 
-            // Add the ImageEngine Lead Gen Referrer
-            if (req.body.queryString) {
-                // New image_engine_lead_generation_referrer model
-                let newLeadGen = {
-                    subscription_id: subscription.id,
-                    campaign_name: req.body.campaignName
-                        ? req.body.campaignName
-                        : '',
-                    url_query_string: req.body.queryString,
-                }
-                leadGenReferrer = await coreapi.createImageEngineLeadGen(
-                    newLeadGen
-                )
-            }
+        const sendEvent = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+        }
+        const isFinished = (j) =>
+            j.status === jobStatuses.SUCCEEDED ||
+            j.status === jobStatuses.FAILED
 
-            // Send Password Reset Email if signed in via SSO AND a new user was created
-            if (
-                req.session.userContext.isSSO &&
-                req.session.userContext.justRegistered
-            ) {
-                await coreapi.sendPasswordResetEmail({
-                    email: user.email,
-                    template: 'imageengine',
-                })
+        let heartbeat = null
+        const onUpdate = (updated) => {
+            if (updated.id !== job.id) {
+                return
+            }
+            sendEvent('progress', describeJob(updated))
+            if (isFinished(updated)) {
+                sendEvent('done', { status: updated.status })
+                stop()
+                res.end()
             }
+        }
+        const stop = () => {
+            jobQueue.removeListener('update', onUpdate)
+            clearInterval(heartbeat)
+        }
 
-            // Get the DNS regions
-            let regions = await coreapi.getAWSRegions()
-            let records = []
-            regions.data.forEach((region) => {
-                if (region.Deploy != 'ALL') {
-                    return
-                }
-                records.push({
-                    domain: generatedDomainName,
-                    region: region.RegionName,
-                    type: 'A',
-                })
+        // Listen before sending the current state so no update is missed
+        jobQueue.on('update', onUpdate)
+        req.on('close', stop)
+        // Keeps proxies from closing an idle connection
+        heartbeat = setInterval(() => res.write(': ping\n\n'), 15000)
+
+        onUpdate(job)
+    })
+)
+
+// Lists the ImageEngine plans customers can pick, cheapest first.  For a
+// logged in user, the plans of their subscriptions are the CoreAPI's (see
+// provisioning/plans).
+// GET /api/v1/coreapi/imageengine/plans
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: null,
+//     result: {
+//         defaultPlan: 'IMAGEENGINE_BASIC',
+//         plans: [
+//             {
+//                 plan: 'IMAGEENGINE_BASIC',
+//                 label: 'ImageEngine Basic',
+//                 name: 'ImageEngine Basic',
+//                 key: 'IMAGEENGINE_BASIC',
+//                 url: 'imageengine',
+//                 price: 49,
+//                 limit: 100,
+//                 overage_fee: 0.4,
+//                 trial_days: 30,
+//                 addons: {...}
+//             },
+//             ...
+//         ]
+//     }
+// }
+router.get(
+    '/imageengine/plans',
+    asyncroutes(async (req, res) => {
+        let subscriptions = []
+        if (req.session.userContext) {
+            subscriptions = await coreapi.getImageEngineSubscriptions(
+                req.session.userContext.userID
+            )
+        }
+        const catalog = plans.getPlanCatalog(subscriptions)
+
+        res.set(
+            'Cache-Control',
+            req.session.userContext
+                ? 'private, no-cache'
+                : 'public, max-age=3600'
+        )
+        res.send({
+            success: true,
+            status: 200,
+            message: null,
+            result: {
+                defaultPlan: plans.getDefaultPlanID(),
+                plans: catalog,
+            },
+        })
+    })
+)
+
+// List the logged in user's ImageEngine subscriptions
+// GET /api/v1/coreapi/imageengine/subscriptions
+router.get(
+    '/imageengine/subscriptions',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const subscriptions = await coreapi.getImageEngineSubscriptions(
+            req.session.userContext.userID
+        )
+
+        res.send({
+            success: true,
+            status: 200,
+            message: null,
+            result: {
+                subscriptions: subscriptions,
+            },
+        })
+    })
+)
+
+// Cancel one of the logged in user's ImageEngine subscriptions
+// POST /api/v1/coreapi/imageengine/subscriptions/12345/cancel
+router.post(
+    '/imageengine/subscriptions/:id/cancel',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const subscription = await getOwnedSubscription(req, req.params.id)
+        if (subscription === null) {
+            sendNotFound(res, 'Subscription not found')
+            return
+        }
+
+        const result = await coreapi.cancelImageEngineSubscription(
+            subscription.id
+        )
+
+        res.send({
+            success: true,
+            status: 200,
+            message: 'Subscription cancelled',
+            result: {
+                subscription: result,
+            },
+        })
+    })
+)
+
+// Moves one of the logged in user's ImageEngine subscriptions to another
+// plan, right away.  The plan can't be changed while the CoreAPI lists a
+// pending downgrade in the subscription's downgrades.plan.
+// POST /api/v1/coreapi/imageengine/subscriptions/12345/plan
+// {
+//     "planID": "IMAGEENGINE_PRO"
+// }
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: 'Subscription upgraded',
+//     result: {
+//         type: 'upgrade', // or 'downgrade'
+//         subscription: {
+//             id: 12345,
+//             payment_plan: 'IMAGEENGINE_PRO',
+//             ...
+//         }
+//     }
+// }
+router.post(
+    '/imageengine/subscriptions/:id/plan',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const subscription = await getOwnedSubscription(req, req.params.id)
+        if (subscription === null) {
+            sendNotFound(res, 'Subscription not found')
+            return
+        }
+
+        const missingFields = getMissingFields(['planID'], req.body, false)
+        if (missingFields.length > 0) {
+            sendBadRequest(
+                res,
+                `Missing required field(s): ${missingFields.join(', ')}`
+            )
+            return
+        }
+        if (subscription.status === 'CANCELLED') {
+            sendBadRequest(res, 'The subscription is cancelled')
+            return
+        }
+        const planID = String(req.body.planID)
+        if (planID === subscription.payment_plan) {
+            sendBadRequest(res, `The subscription is already on ${planID}`)
+            return
+        }
+        const newPlan = plans.findAllowedPlan(planID, [subscription])
+        if (newPlan === null) {
+            sendBadRequest(res, `Invalid plan: ${planID}`)
+            return
+        }
+        if (plans.hasPendingDowngrade(subscription)) {
+            res.status(409).send({
+                success: false,
+                status: 409,
+                message: 'A downgrade is already pending for this subscription',
+                result: {},
             })
-            dnsResult = await coreapi.createDNSRecords(records)
+            return
+        }
 
-            response.result = {
-                user: user,
-                subscription: subscription,
-                origin: originResult.data,
-                domain: domainResult.data,
-                dns: dnsResult.data,
-                demo: demoRunResults.data,
-                leadGen: leadGenReferrer.data,
+        // The current plan may no longer be one customers can pick
+        const currentPlan =
+            subscription.plan ||
+            plans.findAllowedPlan(subscription.payment_plan)
+        const type = currentPlan
+            ? plans.getPlanChangeType(currentPlan, newPlan)
+            : plans.planChangeTypes.UPGRADE
+        const result = await coreapi.changeImageEngineSubscriptionPlan(
+            subscription.id,
+            newPlan.key
+        )
+
+        res.send({
+            success: true,
+            status: 200,
+            message:
+                type === plans.planChangeTypes.UPGRADE
+                    ? 'Subscription upgraded'
+                    : 'Subscription downgraded',
+            result: {
+                type: type,
+                subscription: result,
+            },
+        })
+    })
+)
+
+// Get a domain configuration of one of the logged in user's subscriptions
+// GET /api/v1/coreapi/imageengine/domains/639
+router.get(
+    '/imageengine/domains/:id',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const domain = await getOwnedResource(
+            req,
+            coreapi.getImageEngineDomain,
+            req.params.id
+        )
+        if (domain === null) {
+            sendNotFound(res, 'Domain not found')
+            return
+        }
+
+        res.send({
+            success: true,
+            status: 200,
+            message: null,
+            result: {
+                domain: domain,
+            },
+        })
+    })
+)
+
+// Update a domain configuration of one of the logged in user's subscriptions
+// PATCH /api/v1/coreapi/imageengine/domains/639
+// {
+//     "transition_time": 600,
+//     "iam_flag": 1,
+//     "allow_origin_prefix": 0,
+//     "custom_wildcard_flag": 0
+// }
+router.patch(
+    '/imageengine/domains/:id',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        let response = {
+            success: false,
+            status: 400,
+            message: null,
+            result: {},
+        }
+
+        let changes = {}
+        let invalidFields = []
+        const flagFields = [
+            'iam_flag',
+            'allow_origin_prefix',
+            'custom_wildcard_flag',
+        ]
+        flagFields.forEach((field) => {
+            if (req.body[field] === undefined) {
+                return
+            }
+            if (![0, 1, true, false].includes(req.body[field])) {
+                invalidFields.push(field)
+                return
             }
+            changes[field] = req.body[field] ? 1 : 0
+        })
+        if (req.body.transition_time !== undefined) {
+            const transitionTime = req.body.transition_time
+            if (!Number.isInteger(transitionTime) || transitionTime < 0) {
+                invalidFields.push('transition_time')
+            } else {
+                changes.transition_time = transitionTime
+            }
+        }
 
+        if (invalidFields.length > 0) {
+            response.message = `Invalid field(s): ${invalidFields.join(', ')}`
             res.status(response.status).send(response)
             return
-        } catch (err) {
-            response.message = err.message
-            response.success = false
-            response.status = 500
+        }
+        if (Object.keys(changes).length === 0) {
+            response.message = 'Nothing to update'
             res.status(response.status).send(response)
             return
         }
+
+        const domain = await getOwnedResource(
+            req,
+            coreapi.getImageEngineDomain,
+            req.params.id
+        )
+        if (domain === null) {
+            sendNotFound(res, 'Domain not found')
+            return
+        }
+
+        response.result.domain = await coreapi.updateImageEngineDomain(
+            domain.id,
+            changes
+        )
+        response.success = true
+        response.status = 200
+        response.message = 'Domain updated'
+        res.status(response.status).send(response)
     })
 )
 
+// List the domains of the logged in user's ImageEngine subscriptions, with
+// the AWS regions that serve each of them
+// GET /api/v1/coreapi/imageengine/domains
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: null,
+//     result: {
+//         domains: [
+//             {
+//                 id: 639,
+//                 subscription_id: 12876,
+//                 cname: 'fydzoku1.cdn',
+//                 hostname: '',
+//                 url: 'https://images.foo.com',
+//                 ...
+//                 regions: ['us-east-1', 'eu-west-1']
+//             }
+//         ]
+//     }
+// }
+router.get(
+    '/imageengine/domains',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const subscriptions = await coreapi.getImageEngineSubscriptions(
+            req.session.userContext.userID
+        )
+
+        let subscriptionDomains = []
+        for (const subscription of subscriptions) {
+            subscriptionDomains = subscriptionDomains.concat(
+                await coreapi.getImageEngineDomains(subscription.id)
+            )
+        }
+
+        const domains = await mapConcurrently(
+            subscriptionDomains,
+            maxConcurrentDNSLookups,
+            async (domain) => {
+                const records = await coreapi.getDNSRecords(domain.cname)
+                return Object.assign({}, domain, {
+                    regions: dns.getServingRegions(records),
+                })
+            }
+        )
+
+        res.send({
+            success: true,
+            status: 200,
+            message: null,
+            result: {
+                domains: domains,
+            },
+        })
+    })
+)
+
+// Get the DNS records of a domain of the logged in user, and the AWS regions
+// they serve the domain from
+// GET /api/v1/coreapi/imageengine/domains/639/dns
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: null,
+//     result: {
+//         records: [
+//             { domain: 'fydzoku1.cdn', region: 'eu-west-1', type: 'A' }
+//         ],
+//         regions: ['eu-west-1']
+//     }
+// }
+router.get(
+    '/imageengine/domains/:id/dns',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const domain = await getOwnedResource(
+            req,
+            coreapi.getImageEngineDomain,
+            req.params.id
+        )
+        if (domain === null) {
+            sendNotFound(res, 'Domain not found')
+            return
+        }
+
+        const records = await coreapi.getDNSRecords(domain.cname)
+        res.send({
+            success: true,
+            status: 200,
+            message: null,
+            result: {
+                records: records,
+                regions: dns.getServingRegions(records),
+            },
+        })
+    })
+)
+
+// Serve a domain of the logged in user from more AWS regions
+// POST /api/v1/coreapi/imageengine/domains/639/dns
+// {
+//     "regions": ["eu-west-1", "eu-central-1"]
+// }
 router.post(
-    '/send-welcome-email',
+    '/imageengine/domains/:id/dns',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const domain = await getOwnedResource(
+            req,
+            coreapi.getImageEngineDomain,
+            req.params.id
+        )
+        if (domain === null) {
+            sendNotFound(res, 'Domain not found')
+            return
+        }
+
+        const resolved = await dns.resolveRegions(
+            coreapi,
+            req.body.regions || []
+        )
+        if (resolved.error) {
+            sendBadRequest(res, resolved.error)
+            return
+        }
+
+        const serving = dns.getServingRegions(
+            await coreapi.getDNSRecords(domain.cname)
+        )
+        const added = dns.buildRecords(
+            domain.cname,
+            resolved.regions.filter((region) => !serving.includes(region))
+        )
+        if (added.length > 0) {
+            await coreapi.createDNSRecords(added, 'CREATE')
+        }
+
+        res.send({
+            success: true,
+            status: 200,
+            message: 'DNS records added',
+            result: {
+                added: added,
+                regions: serving.concat(added.map((record) => record.region)),
+            },
+        })
+    })
+)
+
+// Stop serving a domain of the logged in user from an AWS region.  The last
+// region of a domain can't be removed.
+// DELETE /api/v1/coreapi/imageengine/domains/639/dns/eu-west-1
+router.delete(
+    '/imageengine/domains/:id/dns/:region',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const domain = await getOwnedResource(
+            req,
+            coreapi.getImageEngineDomain,
+            req.params.id
+        )
+        if (domain === null) {
+            sendNotFound(res, 'Domain not found')
+            return
+        }
+
+        const serving = dns.getServingRegions(
+            await coreapi.getDNSRecords(domain.cname)
+        )
+        if (!serving.includes(req.params.region)) {
+            sendNotFound(res, 'DNS record not found')
+            return
+        }
+        if (serving.length === 1) {
+            sendBadRequest(
+                res,
+                'A domain must be served from at least one region'
+            )
+            return
+        }
+
+        const removed = dns.buildRecords(domain.cname, [req.params.region])
+        await coreapi.createDNSRecords(removed, 'DELETE')
+
+        res.send({
+            success: true,
+            status: 200,
+            message: 'DNS record removed',
+            result: {
+                removed: removed,
+                regions: serving.filter(
+                    (region) => region !== req.params.region
+                ),
+            },
+        })
+    })
+)
+
+// Re-sync the DNS records of a domain of the logged in user: afterwards it is
+// served from exactly the given AWS regions, or from the default regions if
+// none are given.  Records that already exist are pushed again.
+// POST /api/v1/coreapi/imageengine/domains/639/dns/sync
+// {
+//     "regions": ["eu-west-1", "eu-central-1"] // optional
+// }
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: 'DNS records synced',
+//     result: {
+//         created: [{ domain: 'fydzoku1.cdn', region: 'eu-central-1', type: 'A' }],
+//         updated: [{ domain: 'fydzoku1.cdn', region: 'eu-west-1', type: 'A' }],
+//         deleted: [{ domain: 'fydzoku1.cdn', region: 'us-east-1', type: 'A' }],
+//         regions: ['eu-west-1', 'eu-central-1']
+//     }
+// }
+router.post(
+    '/imageengine/domains/:id/dns/sync',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const domain = await getOwnedResource(
+            req,
+            coreapi.getImageEngineDomain,
+            req.params.id
+        )
+        if (domain === null) {
+            sendNotFound(res, 'Domain not found')
+            return
+        }
+
+        const resolved = await dns.resolveRegions(coreapi, req.body.regions)
+        if (resolved.error) {
+            sendBadRequest(res, resolved.error)
+            return
+        }
+
+        const changes = await dns.syncRecords(
+            coreapi,
+            domain.cname,
+            resolved.regions
+        )
+        res.send({
+            success: true,
+            status: 200,
+            message: 'DNS records synced',
+            result: Object.assign(changes, { regions: resolved.regions }),
+        })
+    })
+)
+
+// Update an origin of one of the logged in user's subscriptions
+// PATCH /api/v1/coreapi/imageengine/origins/294
+// {
+//     "name": "default",
+//     "url": "https://images.bar.com",
+//     "hostname": ""
+// }
+router.patch(
+    '/imageengine/origins/:id',
+    requireLogin,
     asyncroutes(async (req, res) => {
         let response = {
             success: false,
             status: 400,
             message: null,
-            data: {},
+            result: {},
         }
 
-        let newWelcomeEmail = {
-            subscription_id: req.body.subscription_id,
-            user_id: req.body.user_id,
-            website: req.body.website,
-            demo_id: req.body.demo_id,
-            current_cms: req.body.currentCMS,
-            delivery_address: req.body.delivery_address,
-            country: req.body.country,
+        let changes = {}
+        if (req.body.name !== undefined) {
+            changes.name = String(req.body.name)
+        }
+        if (req.body.hostname !== undefined) {
+            changes.hostname = String(req.body.hostname)
+        }
+        if (req.body.url !== undefined) {
+            const diagnosis = await originChecker.validate(String(req.body.url))
+            if (!diagnosis.ok) {
+                response.message = diagnosis.message
+                response.result = { diagnosis: diagnosis }
+                res.status(response.status).send(response)
+                return
+            }
+            const originURL = new URL(diagnosis.url)
+            changes.url = originURL.toString().replace(/\/+$/, '')
+            changes.url_type = originURL.protocol.replace(/:$/, '')
         }
 
-        try {
-            let emailResponse = await coreapi.sendImageEngineWelcomeEmail(
-                newWelcomeEmail
-            )
-            response.data = emailResponse
-            response.success = true
-            response.status = 200
-            response.message = 'Sent welcome email.' + emailResponse
+        if (Object.keys(changes).length === 0) {
+            response.message = 'Nothing to update'
             res.status(response.status).send(response)
             return
+        }
+
+        const origin = await getOwnedResource(
+            req,
+            coreapi.getImageEngineOrigin,
+            req.params.id
+        )
+        if (origin === null) {
+            sendNotFound(res, 'Origin not found')
+            return
+        }
+
+        response.result.origin = await coreapi.updateImageEngineOrigin(
+            origin.id,
+            changes
+        )
+        response.success = true
+        response.status = 200
+        response.message = 'Origin updated'
+        res.status(response.status).send(response)
+    })
+)
+
+// Delete an origin of one of the logged in user's subscriptions
+// DELETE /api/v1/coreapi/imageengine/origins/294
+router.delete(
+    '/imageengine/origins/:id',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const origin = await getOwnedResource(
+            req,
+            coreapi.getImageEngineOrigin,
+            req.params.id
+        )
+        if (origin === null) {
+            sendNotFound(res, 'Origin not found')
+            return
+        }
+
+        await coreapi.deleteImageEngineOrigin(origin.id)
+
+        res.send({
+            success: true,
+            status: 200,
+            message: 'Origin deleted',
+            result: {},
+        })
+    })
+)
+
+// Builds the welcome email of one of the logged in user's subscriptions from
+// the request body.  Sends an error response and returns null if it can't.
+const getWelcomeEmail = async (req, res) => {
+    const missingFields = getMissingFields(['subscription_id'], req.body, false)
+    if (missingFields.length > 0) {
+        sendBadRequest(
+            res,
+            `Missing required field(s): ${missingFields.join(', ')}`
+        )
+        return null
+    }
+
+    const subscription = await getOwnedSubscription(
+        req,
+        req.body.subscription_id
+    )
+    if (subscription === null) {
+        sendNotFound(res, 'Subscription not found')
+        return null
+    }
+
+    const user = await coreapi.getUserByID(req.session.userContext.userID, [
+        'country',
+    ])
+    const email = buildWelcomeEmail(subscription, user, req.body)
+    if (email.error) {
+        sendBadRequest(res, email.error)
+        return null
+    }
+    return email.payload
+}
+
+// Sends the welcome email of one of the logged in user's subscriptions.  The
+// email can only be sent a few times per subscription a day (see
+// WELCOME_EMAIL_MAX_SENDS), after that the response is a 429 with a
+// Retry-After header.
+// POST /api/v1/coreapi/send-welcome-email
+// {
+//     subscription_id: 12345,
+//     website: 'https://www.foo.com', // optional
+//     currentCMS: 'WordPress', // optional
+//     delivery_address: 'https://images.foo.com', // optional
+//     country: 'Norway', // optional, default: the user's country
+//     demo_id: '5ef5b29f-94de-4bc8-a211-34e8801174b2', // optional
+// }
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: 'Sent welcome email',
+//     result: {}
+// }
+router.post(
+    '/send-welcome-email',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const payload = await getWelcomeEmail(req, res)
+        if (payload === null) {
+            return
+        }
+
+        const { entry, retryAfter } = welcomeEmailLimiter.reserve(
+            payload.subscription_id
+        )
+        if (entry === null) {
+            res.set('Retry-After', String(Math.ceil(retryAfter / 1000)))
+            res.status(429).send({
+                success: false,
+                status: 429,
+                message:
+                    'The welcome email was sent too many times, try again later',
+                result: {},
+            })
+            return
+        }
+
+        try {
+            await coreapi.sendImageEngineWelcomeEmail(payload)
         } catch (err) {
-            response.message = 'Unable to send welcome email: ' + err
-            res.status(response.status).send(response)
+            welcomeEmailLimiter.release(entry)
+            throw err
+        }
+
+        res.send({
+            success: true,
+            status: 200,
+            message: 'Sent welcome email',
+            result: {},
+        })
+    })
+)
+
+// Shows the welcome email that POST /send-welcome-email would send, without
+// sending it.  Takes the same body.
+// POST /api/v1/coreapi/send-welcome-email/preview
+// Response:
+// {
+//     success: true,
+//     status: 200,
+//     message: null,
+//     result: {
+//         recipient: 'foo@gmail.com',
+//         payload: {
+//             subscription_id: 12345,
+//             user_id: 1234,
+//             website: 'https://www.foo.com',
+//             demo_id: null,
+//             current_cms: 'WordPress',
+//             delivery_address: 'https://images.foo.com',
+//             country: 'Norway'
+//         }
+//     }
+// }
+router.post(
+    '/send-welcome-email/preview',
+    requireLogin,
+    asyncroutes(async (req, res) => {
+        const payload = await getWelcomeEmail(req, res)
+        if (payload === null) {
             return
         }
+
+        res.send({
+            success: true,
+            status: 200,
+            message: null,
+            result: {
+                recipient: req.session.userContext.email,
+                payload: payload,
+            },
+        })
     })
 )
 
+// Turn CoreAPI errors thrown by the routes above into API responses
+router.use(coreapiErrors)
+
 module.exports = router
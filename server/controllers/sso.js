@@ -2,6 +2,7 @@ const axios = require('axios')
 const crypto = require('crypto')
 const express = require('express')
 const asyncroutes = require('../middleware/asyncroutes')
+const { logger } = require('../logger')
 const router = express.Router()
 const axiosClient = axios.create({
     timeout: 5000,
@@ -37,7 +38,7 @@ router.get(
 router.get(
     '/github',
     asyncroutes(async (req, res) => {
-        console.log('Github callback received')
+        logger.info('Github callback received')
 
         // if (req.session.githubState === undefined) {
         //     // TODO: Cleanup with HTML
@@ -100,7 +101,7 @@ router.get(
             ) {
                 // There is no email in the profile, go looking deeper
                 let chosenEmail = ''
-                console.log('Fetching other emails from Github')
+                logger.info('Fetching other emails from Github')
                 try {
                     const userEmails = await axiosClient.get(
                         'https://api.github.com/user/emails',
@@ -121,8 +122,9 @@ router.get(
                         }
                     }
                 } catch (err) {
-                    console.log(
-                        `Failed to fetch user email address from Github API: ${err}`
+                    logger.warn(
+                        'Failed to fetch user email address from Github API',
+                        err
                     )
                 }
 
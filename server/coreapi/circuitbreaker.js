@@ -0,0 +1,128 @@
+/**
+ * @file
+ * Circuit breaker used to fail fast while the CoreAPI is unavailable
+ */
+
+const { logger } = require('../logger')
+
+const CLOSED = 'closed'
+const OPEN = 'open'
+const HALF_OPEN = 'half-open'
+
+/**
+ * Thrown instead of making a request while the circuit is open
+ */
+class CircuitOpenError extends Error {
+    constructor(name, retryAt) {
+        const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000))
+        super(
+            `${name} is unavailable, not sending request (retrying in ${seconds}s)`
+        )
+        this.name = 'CircuitOpenError'
+        this.code = 'ECIRCUITOPEN'
+        this.retryAt = retryAt
+    }
+}
+
+/**
+ * Tracks consecutive failures of a remote service.
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and every
+ * call to check() throws a CircuitOpenError.  Once `resetTimeout` ms have
+ * passed a single trial request is let through (half-open): if it succeeds
+ * the circuit closes again, if it fails the circuit re-opens.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Service name used in error messages
+     * @param {number} options.failureThreshold - Consecutive failures before opening
+     * @param {number} options.resetTimeout - Milliseconds to stay open before a trial request
+     * @param {Logger} options.logger - Logger for state changes (default: the server logger)
+     */
+    constructor(options) {
+        this.name = options.name
+        this.logger = options.logger || logger
+        this.failureThreshold = options.failureThreshold
+        this.resetTimeout = options.resetTimeout
+        this.state = CLOSED
+        this.failures = 0
+        this.openedAt = null
+        this.trialInFlight = false
+    }
+
+    /**
+     * Throws a CircuitOpenError if a request should not be sent right now
+     */
+    check() {
+        if (this.state === CLOSED) {
+            return
+        }
+
+        const retryAt = this.openedAt + this.resetTimeout
+        if (this.state === OPEN && Date.now() >= retryAt) {
+            this.state = HALF_OPEN
+        }
+
+        if (this.state === HALF_OPEN && !this.trialInFlight) {
+            this.trialInFlight = true
+            return
+        }
+
+        throw new CircuitOpenError(this.name, retryAt)
+    }
+
+    /**
+     * Records a request that reached the service
+     */
+    recordSuccess() {
+        if (this.state !== CLOSED) {
+            this.logger.info(`${this.name} circuit closed`)
+        }
+        this.state = CLOSED
+        this.failures = 0
+        this.openedAt = null
+        this.trialInFlight = false
+    }
+
+    /**
+     * Records a request that failed because the service is unhealthy
+     */
+    recordFailure() {
+        this.failures++
+        this.trialInFlight = false
+
+        if (
+            this.state === HALF_OPEN ||
+            this.failures >= this.failureThreshold
+        ) {
+            if (this.state !== OPEN) {
+                this.logger.warn(`${this.name} circuit opened`, {
+                    failures: this.failures,
+                })
+            }
+            this.state = OPEN
+            this.openedAt = Date.now()
+        }
+    }
+
+    /**
+     * Gets a snapshot of the breaker state, suitable for status reports
+     * @return {Object}
+     */
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt) : null,
+            retryAt: this.openedAt
+                ? new Date(this.openedAt + this.resetTimeout)
+                : null,
+        }
+    }
+}
+
+module.exports = {
+    CircuitBreaker: CircuitBreaker,
+    CircuitOpenError: CircuitOpenError,
+}
@@ -0,0 +1,1703 @@
+/**
+ * @file
+ * Client for the ScientiaMobile CoreAPI.  Each CoreApiClient instance has its
+ * own credentials, access token and circuit breaker, so several CoreAPI
+ * environments can be used from the same process.
+ */
+
+const os = require('os')
+const axios = require('axios')
+const crypto = require('crypto')
+const { ClientCredentials } = require('simple-oauth2')
+const { CircuitBreaker } = require('./circuitbreaker')
+const errors = require('./errors')
+const { FileTokenCache } = require('./tokencache')
+const { SearchBuilder } = require('./search')
+const { ReferenceCache } = require('./refcache')
+const { logger, getRequestId } = require('../logger')
+const userAgent = `imageengine.io (Server/nodejs-${process.version}; +https://imageengine.io/)`
+const apiPrefix = '/api/v2'
+const accessTokenPath = '/oauth/token'
+
+// Access tokens are refreshed this many seconds before they actually expire
+const tokenExpirationWindow = 60
+
+// HTTP methods that are safe to retry automatically
+const idempotentMethods = ['get', 'head', 'options']
+
+// Default timeout, retry and circuit breaker settings for CoreAPI requests.
+// timeout, retries and idempotent can also be overridden per call.
+const defaultRequestPolicy = {
+    timeout: 10000, // ms
+    retries: 2,
+    retryDelay: 250, // ms, doubled after every attempt
+    maxRetryDelay: 4000, // ms
+    idempotent: false, // retry non-GET requests too
+    failureThreshold: 5, // consecutive failures before the circuit opens
+    resetTimeout: 30000, // ms the circuit stays open before trying again
+}
+
+// How long reference data is fresh by default, in ms (see ReferenceCache)
+const referenceDataTTLs = {
+    regions: 3600000, // 1 hour
+    countries: 86400000, // 1 day
+}
+
+// Domain configuration fields that can be changed after creation
+const domainUpdateFields = [
+    'transition_time',
+    'iam_flag',
+    'allow_origin_prefix',
+    'custom_wildcard_flag',
+]
+
+// Subscription fields that can be changed after creation
+const subscriptionUpdateFields = ['status', 'payment_plan']
+
+// Actions of createDNSRecords(), and what they log
+const dnsRecordActions = {
+    CREATE: 'Created DNS records',
+    UPDATE: 'Updated DNS records',
+    DELETE: 'Deleted DNS records',
+}
+
+// Origin fields that can be changed after creation
+const originUpdateFields = ['name', 'url', 'hostname', 'url_type']
+
+/**
+ * Returns a copy of obj with only the given keys
+ * @param {Object} obj
+ * @param {Array} keys
+ * @return {Object}
+ */
+const pick = (obj, keys) => {
+    let picked = {}
+    keys.forEach((key) => {
+        if (obj[key] !== undefined) {
+            picked[key] = obj[key]
+        }
+    })
+    return picked
+}
+
+// Keys that must be present in cached token data
+const cacheDataTemplate = {
+    token_type: '',
+    expires_at: '',
+    access_token: '',
+    hash: '',
+}
+
+/**
+ * Returns true if the given object has all the given keys
+ * @param {Object} obj - The object to be checked
+ * @param {Array} keys - The required keys
+ * @return {Boolean}
+ */
+const hasAllKeys = (obj, keys) => {
+    if (obj === null || typeof obj !== 'object') {
+        return false
+    }
+
+    return keys.every((key) => key in obj)
+}
+
+/**
+ * Returns true if the error means the CoreAPI is unhealthy (network error,
+ * timeout or 5xx response) and the request may succeed if retried
+ * @param {Error} err
+ * @return {Boolean}
+ */
+const isTransientError = (err) => {
+    if (!err.response) {
+        return true
+    }
+
+    return err.response.status >= 500
+}
+
+/**
+ * Gets the delay before the given retry attempt, with exponential backoff and jitter
+ * @param {number} attempt - Retry attempt, starting at 0
+ * @param {Object} policy
+ * @return {number} Delay in ms
+ */
+const getRetryDelay = (attempt, policy) => {
+    const delay = Math.min(
+        policy.retryDelay * Math.pow(2, attempt),
+        policy.maxRetryDelay
+    )
+    return delay / 2 + (Math.random() * delay) / 2
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Gets the payload of a CoreAPI response, unwrapping the standard
+ * {success, message, data, ...} envelope if there is one
+ * @param {Object} resp - axios response
+ * @return {*}
+ */
+const getResponseData = (resp) => {
+    const body = resp.data
+    if (body !== null && typeof body === 'object' && 'data' in body) {
+        return body.data
+    }
+
+    return body
+}
+
+/**
+ * Gets the path segment that filters a collection by the given terms
+ * @param {Object|SearchBuilder} terms - See SearchBuilder.from()
+ * @return {string}
+ */
+const constructSearch = (terms) => {
+    if (!terms) {
+        return ''
+    }
+
+    return SearchBuilder.from(terms).toString()
+}
+
+/**
+ * Gets the query string that selects a page of a collection
+ * @param {Object} pageOptions - {page: 1, perPage: 50}, both optional
+ * @return {string}
+ */
+const constructPage = (pageOptions) => {
+    const params = new URLSearchParams()
+    if (pageOptions && pageOptions.page) {
+        params.set('page', pageOptions.page)
+    }
+    if (pageOptions && pageOptions.perPage) {
+        params.set('per_page', pageOptions.perPage)
+    }
+
+    const query = params.toString()
+    return query ? `?${query}` : ''
+}
+
+/**
+ * Normalizes the pagination block of a CoreAPI collection response.
+ * Responses without pagination are treated as a single page.
+ * @example CoreAPI pagination block:
+ * {
+ *     "total": 120,
+ *     "per_page": 50,
+ *     "current_page": 2,
+ *     "last_page": 3
+ * }
+ * @param {Object} body - CoreAPI response body
+ * @param {Array} items - Items on the page
+ * @param {Object} pageOptions - The requested page
+ * @return {Object} {page, perPage, total, lastPage, hasMore}
+ */
+const getPagination = (body, items, pageOptions) => {
+    pageOptions = pageOptions || {}
+    const block =
+        body && body.pagination && !Array.isArray(body.pagination)
+            ? body.pagination
+            : {}
+
+    const page = parseInt(block.current_page, 10) || pageOptions.page || 1
+    const perPage =
+        parseInt(block.per_page, 10) || pageOptions.perPage || items.length
+    const total = block.total !== undefined ? parseInt(block.total, 10) : null
+    let lastPage = parseInt(block.last_page, 10)
+    if (!lastPage) {
+        lastPage = total !== null && perPage ? Math.ceil(total / perPage) : page
+    }
+
+    return {
+        page: page,
+        perPage: perPage,
+        total: total,
+        lastPage: lastPage,
+        hasMore: page < lastPage,
+    }
+}
+
+const constructWith = (terms) => {
+    if (!terms) {
+        return ''
+    }
+
+    return '/with:(' + terms.map(encodeURIComponent).join(',') + ')'
+}
+
+class CoreApiClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiURL - URL to the CoreAPI, including scheme, ex: https://staging-core.scientiamobile.com
+     * @param {string} options.clientID - OAuth2 Client ID
+     * @param {string} options.secret - OAuth2 Secret
+     * @param {string} options.scopes - OAuth2 Scopes, delimited by spaces
+     * @param {string} options.cacheDir - Directory in which to store the access token (default: os.tmpdir())
+     * @param {Object} options.tokenCache - Token cache backend, overrides cacheDir (see ./tokencache)
+     * @param {Object} options.requestPolicy - Overrides of the default request policy
+     * @param {Logger} options.logger - Logger to use (default: the server logger)
+     * @param {ReferenceCache} options.referenceCache - Cache for countries and regions
+     */
+    constructor(options) {
+        options = options || {}
+        this.logger = options.logger || logger.child({ component: 'coreapi' })
+        this.referenceCache =
+            options.referenceCache ||
+            new ReferenceCache({
+                ttls: referenceDataTTLs,
+                logger: this.logger,
+            })
+        this.tokenCache =
+            options.tokenCache ||
+            new FileTokenCache({ dir: options.cacheDir || os.tmpdir() })
+        this.accessToken = null
+        this.oauth2 = null
+        // Pending token fetch, shared by all requests waiting on a new token
+        this.pendingAccessToken = null
+        this.setCredentials(
+            options.apiURL || '',
+            options.clientID || '',
+            options.secret || '',
+            options.scopes || ''
+        )
+        this.setRequestPolicy(options.requestPolicy)
+    }
+
+    /**
+     * Sets the credentials used to contact the CoreAPI.
+     * Any access token obtained with the previous credentials is discarded.
+     *
+     * @param {string} apiURL - URL to the CoreAPI, including scheme, ex: https://staging-core.scientiamobile.com
+     * @param {string} clientID - OAuth2 Client ID
+     * @param {string} secret - OAuth2 Secret
+     * @param {string} scopes - OAuth2 Scopes, delimited by spaces
+     */
+    setCredentials(apiURL, clientID, secret, scopes) {
+        this.credentials = {
+            apiURL: apiURL,
+            clientID: clientID,
+            secret: secret,
+            scopes: scopes,
+        }
+        this.accessToken = null
+        this.oauth2 = null
+        this.referenceCache.invalidate()
+
+        if (!apiURL) {
+            return
+        }
+
+        this.oauth2 = new ClientCredentials({
+            client: {
+                id: clientID,
+                secret: secret,
+            },
+            auth: {
+                tokenHost: apiURL,
+                tokenPath: accessTokenPath,
+            },
+            http: {
+                headers: {
+                    'user-agent': userAgent,
+                },
+            },
+        })
+    }
+
+    /**
+     * Stores access tokens as files in the given directory.  The current
+     * access token is kept and will be stored there the next time it is
+     * refreshed.
+     * @param {string} dir
+     */
+    setCacheDir(dir) {
+        this.tokenCache = new FileTokenCache({ dir: dir })
+    }
+
+    /**
+     * Sets the token cache backend (see ./tokencache)
+     * @param {Object} tokenCache
+     */
+    setTokenCache(tokenCache) {
+        this.tokenCache = tokenCache
+    }
+
+    /**
+     * Overrides the default request policy (see defaultRequestPolicy for the
+     * options).  This resets the circuit breaker.
+     * @param {Object} policy
+     */
+    setRequestPolicy(policy) {
+        this.requestPolicy = Object.assign(
+            {},
+            defaultRequestPolicy,
+            this.requestPolicy,
+            policy
+        )
+        this.circuitBreaker = new CircuitBreaker({
+            name: `CoreAPI (${this.credentials.apiURL})`,
+            failureThreshold: this.requestPolicy.failureThreshold,
+            resetTimeout: this.requestPolicy.resetTimeout,
+            logger: this.logger,
+        })
+    }
+
+    /**
+     * Gets the state of the CoreAPI circuit breaker
+     * @example response:
+     * {
+     *     state: 'open', // 'closed', 'open' or 'half-open'
+     *     failures: 5,
+     *     openedAt: Date,
+     *     retryAt: Date,
+     * }
+     * @return {Object}
+     */
+    getCircuitState() {
+        return this.circuitBreaker.getState()
+    }
+
+    /**
+     * Gets the key under which the access token is cached.  It depends on
+     * the CoreAPI URL and client ID so clients don't overwrite each other.
+     *
+     * @return {string}
+     */
+    getCacheKey() {
+        return crypto
+            .createHash('sha256')
+            .update(this.credentials.apiURL)
+            .update(this.credentials.clientID)
+            .digest('hex')
+            .substr(0, 12)
+    }
+
+    /**
+     * Computes a hash that uniquely identifies the set of credentials.
+     * This hash can be used to determine if the cached data was created
+     * from the current credentials
+     *
+     * @return {string}
+     */
+    getCacheIntegrityHash() {
+        let hash = crypto.createHash('sha256')
+        hash.update(this.credentials.apiURL)
+        hash.update(this.credentials.clientID)
+        hash.update(this.credentials.secret)
+        hash.update(this.credentials.scopes)
+        return hash.digest('hex')
+    }
+
+    /**
+     * Gets the cached access token
+     * @return {AccessToken}
+     */
+    async getCachedAccessToken() {
+        const key = this.getCacheKey()
+        const cacheData = await this.tokenCache.read(key)
+        if (cacheData === null) {
+            throw new Error('No access token in cache')
+        }
+
+        if (!hasAllKeys(cacheData, Object.keys(cacheDataTemplate))) {
+            await this.tokenCache.remove(key)
+            throw new Error('Unable to parse cache data')
+        }
+
+        const hash = this.getCacheIntegrityHash()
+        if (cacheData.hash != hash) {
+            await this.tokenCache.remove(key)
+            throw new Error(
+                'Cached access token was generated with different credentials, removing'
+            )
+        }
+
+        delete cacheData.hash
+        return this.oauth2.createToken(cacheData)
+    }
+
+    /**
+     * Saves the access token to cache
+     * @param {AccessToken} token
+     */
+    async saveCachedAccessToken(token) {
+        let cacheData = Object.assign({}, token.token, {
+            hash: this.getCacheIntegrityHash(),
+        })
+
+        await this.tokenCache.write(this.getCacheKey(), cacheData)
+    }
+
+    /**
+     * Gets an access token from cache or the CoreAPI
+     */
+    async getAccessToken() {
+        if (this.oauth2 === null) {
+            throw new Error(
+                'You must call setCredentials() before getAccessToken()'
+            )
+        }
+
+        // Try to restore the token from the cache
+        try {
+            this.accessToken = await this.getCachedAccessToken()
+            this.logger.debug('Restored access token from cache')
+        } catch (e) {
+            this.logger.debug('Unable to read access token cache', {
+                reason: e.message,
+            })
+        }
+
+        // Try to get a new token from the CoreAPI
+        if (
+            this.accessToken === null ||
+            this.accessToken.expired(tokenExpirationWindow)
+        ) {
+            this.logger.info('Getting new CoreAPI access token')
+            await this.getNewAccessToken(this.accessToken)
+            return
+        }
+    }
+
+    /**
+     * Returns a usable access token, fetching a new one if there is none yet or
+     * the current one is about to expire.  Concurrent callers share one fetch.
+     * @param {AccessToken} staleToken - A token the CoreAPI rejected; it will be replaced
+     * even if it has not expired yet
+     * @return {AccessToken}
+     */
+    async ensureAccessToken(staleToken) {
+        const usable =
+            this.accessToken !== null &&
+            this.accessToken !== staleToken &&
+            !this.accessToken.expired(tokenExpirationWindow)
+        if (usable) {
+            return this.accessToken
+        }
+
+        if (this.pendingAccessToken === null) {
+            // Only look in the cache on the very first fetch, after that
+            // getNewAccessToken() checks it for tokens from other processes
+            const fetchToken =
+                this.accessToken === null
+                    ? this.getAccessToken()
+                    : this.getNewAccessToken(staleToken || this.accessToken)
+            this.pendingAccessToken = fetchToken.finally(() => {
+                this.pendingAccessToken = null
+            })
+        }
+
+        await this.pendingAccessToken
+        return this.accessToken
+    }
+
+    /**
+     * Gets a new access token from the CoreAPI.  The token cache is locked
+     * while doing so; if another process stored a new token in the meantime,
+     * that one is used instead.
+     * @param {AccessToken} staleToken - Token that must not be reused from the cache
+     */
+    async getNewAccessToken(staleToken) {
+        const staleAccessToken = staleToken
+            ? staleToken.token.access_token
+            : null
+
+        await this.tokenCache.withLock(this.getCacheKey(), async () => {
+            try {
+                const cached = await this.getCachedAccessToken()
+                if (
+                    cached.token.access_token !== staleAccessToken &&
+                    !cached.expired(tokenExpirationWindow)
+                ) {
+                    this.logger.info(
+                        'Using access token stored by another process'
+                    )
+                    this.accessToken = cached
+                    return
+                }
+            } catch (e) {
+                // Nothing usable in the cache
+            }
+
+            const tokenConfig = {
+                scope: this.credentials.scopes,
+            }
+
+            // Optional per-call http options
+            const httpOptions = {}
+
+            // Get the access token object for the client
+            try {
+                this.accessToken = await this.oauth2.getToken(
+                    tokenConfig,
+                    httpOptions
+                )
+                this.logger.info('New CoreAPI access token obtained')
+            } catch (error) {
+                const msg = `Unable to retreive CoreAPI OAuth2 access token: ${error.message}`
+                this.logger.error(msg)
+                throw new Error(msg)
+            }
+
+            // Save the access token
+            try {
+                await this.saveCachedAccessToken(this.accessToken)
+            } catch (e) {
+                this.logger.warn('Unable to store access token cache', e)
+            }
+        })
+    }
+
+    async doGet(path, options) {
+        return await this.doRequest(path, 'get', null, options)
+    }
+
+    async doPost(path, data, options) {
+        return await this.doRequest(path, 'post', data, options)
+    }
+
+    async doPatch(path, data, options) {
+        return await this.doRequest(path, 'patch', data, options)
+    }
+
+    async doDelete(path, options) {
+        return await this.doRequest(path, 'delete', null, options)
+    }
+
+    /**
+     * Sends the request with the given access token
+     * @param {Object} req - axios request config
+     * @param {AccessToken} token
+     * @return {Object} axios response
+     */
+    async sendRequest(req, token) {
+        req.headers.authorization = `Bearer ${token.token.access_token}`
+        return await axios(req)
+    }
+
+    /**
+     * Sends the request with a valid access token, retrying once with a new
+     * token if the CoreAPI rejects it
+     * @param {Object} req - axios request config
+     * @return {Object} axios response
+     */
+    async sendAuthenticatedRequest(req) {
+        const token = await this.ensureAccessToken()
+        try {
+            return await this.sendRequest(req, token)
+        } catch (err) {
+            if (!err.response || err.response.status !== 401) {
+                throw err
+            }
+
+            // The token was revoked or expired early, retry once with a new one
+            this.logger.info('CoreAPI rejected the access token, refreshing')
+            return await this.sendRequest(
+                req,
+                await this.ensureAccessToken(token)
+            )
+        }
+    }
+
+    /**
+     * Makes a request to the CoreAPI
+     * @param {string} path - Path below the API prefix, ex: /users
+     * @param {string} method - HTTP method
+     * @param {Object} data - Request body, null for none
+     * @param {Object} options - Per-call overrides of timeout, retries and idempotent
+     * @return {Object} axios response
+     * @throws {CoreApiError} If the request failed or the CoreAPI returned an error
+     */
+    async doRequest(path, method, data, options) {
+        const policy = Object.assign({}, this.requestPolicy, options)
+        const url = this.credentials.apiURL + apiPrefix + path
+        const req = {
+            method: method,
+            url: url,
+            timeout: policy.timeout,
+            headers: {
+                'user-agent': userAgent,
+            },
+        }
+        const description = `${method.toUpperCase()} ${path}`
+
+        // Lets the CoreAPI logs be matched with ours
+        const requestId = getRequestId()
+        if (requestId) {
+            req.headers['x-request-id'] = requestId
+        }
+
+        if (data !== null && data !== undefined) {
+            req.headers['content-type'] = 'application/json'
+            req.data = JSON.stringify(data)
+        }
+
+        const retries =
+            policy.idempotent || idempotentMethods.includes(method)
+                ? policy.retries
+                : 0
+
+        let resp = {}
+        const startedAt = Date.now()
+        for (let attempt = 0; ; attempt++) {
+            this.logger.debug('Making CoreAPI request', {
+                method: method,
+                url: url,
+                attempt: attempt,
+                body: data,
+            })
+            try {
+                this.circuitBreaker.check()
+                resp = await this.sendAuthenticatedRequest(req)
+                this.circuitBreaker.recordSuccess()
+                break
+            } catch (err) {
+                this.logger.warn('CoreAPI request failed', {
+                    method: method,
+                    url: url,
+                    attempt: attempt,
+                    status: err.response ? err.response.status : undefined,
+                    err: err,
+                })
+
+                if (err.code === 'ECIRCUITOPEN') {
+                    throw errors.fromRequestError(err, description)
+                }
+
+                if (!isTransientError(err)) {
+                    // The CoreAPI answered, so it is healthy
+                    this.circuitBreaker.recordSuccess()
+                    throw errors.fromRequestError(err, description)
+                }
+
+                this.circuitBreaker.recordFailure()
+                if (attempt >= retries) {
+                    throw errors.fromRequestError(err, description)
+                }
+
+                await sleep(getRetryDelay(attempt, policy))
+            }
+        }
+        this.logger.debug('CoreAPI response', {
+            method: method,
+            url: url,
+            status: resp.status,
+            duration: Date.now() - startedAt,
+        })
+
+        // Some endpoints report failures in the response envelope only
+        if (resp.data && resp.data.success === false) {
+            throw errors.fromResponse(resp, description)
+        }
+
+        return resp
+    }
+
+    /**
+     * Checks if the given credentials are valid
+     * @param {string} username
+     * @param {string} password
+     * @return {Object} The authenticated user
+     * @throws {CoreApiValidationError} If the credentials are invalid
+     */
+    async checkCredentials(username, password) {
+        const path = '/login'
+        const payload = {
+            username: username,
+            password: password,
+            allow_email: true,
+        }
+        const resp = await this.doPost(path, payload)
+        return getResponseData(resp)
+    }
+
+    /**
+     * Gets the User object that corresponds to the given user ID
+     * @param {number} userID - The user ID
+     * @param {Array} withTerms - A list of relationships to include (ex: ['subscriptions', 'country'])
+     * @return {Object} User
+     * @throws {CoreApiNotFoundError} If the user does not exist
+     */
+    async getUserByID(userID, withTerms) {
+        const path =
+            `/user/${encodeURIComponent(userID)}` + constructWith(withTerms)
+        const resp = await this.doGet(path)
+        return getResponseData(resp)
+    }
+
+    /**
+     * Gets one page of a CoreAPI collection
+     * @example response:
+     * {
+     *     items: [...],
+     *     pagination: {
+     *         page: 1,
+     *         perPage: 50,
+     *         total: 120, // null if the CoreAPI did not say
+     *         lastPage: 3,
+     *         hasMore: true
+     *     }
+     * }
+     * @param {string} collection - Collection path, ex: '/users'
+     * @param {Object|SearchBuilder} terms - Search terms, see SearchBuilder.from()
+     * @param {Array} withTerms - A list of relationships to include
+     * @param {Object} pageOptions - {page: 1, perPage: 50}, both optional
+     * @return {Object} {items, pagination}
+     */
+    async searchCollection(collection, terms, withTerms, pageOptions) {
+        const path =
+            collection +
+            constructSearch(terms) +
+            constructWith(withTerms) +
+            constructPage(pageOptions)
+
+        let resp = null
+        try {
+            resp = await this.doGet(path)
+        } catch (err) {
+            // The CoreAPI answers searches without results with a 404
+            if (err instanceof errors.CoreApiNotFoundError) {
+                return {
+                    items: [],
+                    pagination: getPagination(null, [], pageOptions),
+                }
+            }
+            throw err
+        }
+
+        const items = getResponseData(resp) || []
+        return {
+            items: items,
+            pagination: getPagination(resp.data, items, pageOptions),
+        }
+    }
+
+    /**
+     * Yields every item of a CoreAPI collection, fetching one page at a time
+     * @param {string} collection - Collection path, ex: '/users'
+     * @param {Object|SearchBuilder} terms - Search terms, see SearchBuilder.from()
+     * @param {Array} withTerms - A list of relationships to include
+     * @param {Object} pageOptions - {page: 1, perPage: 50}, page is the first page to fetch
+     */
+    async *iterateCollection(collection, terms, withTerms, pageOptions) {
+        let page = (pageOptions && pageOptions.page) || 1
+
+        for (;;) {
+            const result = await this.searchCollection(
+                collection,
+                terms,
+                withTerms,
+                Object.assign({}, pageOptions, { page: page })
+            )
+            for (const item of result.items) {
+                yield item
+            }
+
+            if (!result.pagination.hasMore || result.items.length === 0) {
+                return
+            }
+            page = result.pagination.page + 1
+        }
+    }
+
+    /**
+     * Gets a page of User objects that match the given search terms
+     * @param {Object|SearchBuilder} terms - Object of key=>value pairs to search for (ex: {email: 'foo@bar.com}), see SearchBuilder.from()
+     * @param {Array} withTerms - A list of relationships to include (ex: ['subscriptions', 'country'])
+     * @param {Object} pageOptions - {page: 1, perPage: 50}, both optional
+     * @return {Object} {items, pagination}, see searchCollection()
+     */
+    async searchUsers(terms, withTerms, pageOptions) {
+        return await this.searchCollection(
+            '/users',
+            terms,
+            withTerms,
+            pageOptions
+        )
+    }
+
+    /**
+     * Yields every User object that matches the given search terms
+     * @example
+     * for await (const user of client.iterateUsers({ country_id: 230 })) {
+     *     console.log(user.email)
+     * }
+     * @param {Object|SearchBuilder} terms - See searchUsers()
+     * @param {Array} withTerms - A list of relationships to include (ex: ['subscriptions', 'country'])
+     * @param {Object} pageOptions - {page: 1, perPage: 50}, page is the first page to fetch
+     */
+    iterateUsers(terms, withTerms, pageOptions) {
+        return this.iterateCollection('/users', terms, withTerms, pageOptions)
+    }
+
+    /**
+     * Create a new ScientiaMobile user account
+     * @example 'user' parameter:
+     * {
+     *   "username": "username",
+     *   "email": "username@gmail.com",
+     *   "first_name": "Foo",
+     *   "last_name": "Bar",
+     *   "company_name": "ScientiaMobile Inc",
+     *   "country_id": 1, // We should select an default id
+     *   "enabled": 1,
+     *   "user_type": 0,
+     *   "password": "foopass",
+     *   "confirmed": 1, // 1 = User will not need to verify email
+     *   "user_roles": [
+     *     "user",
+     *   ]
+     * }
+     *
+     * Example successful response:
+     * {
+     *   "success": true,
+     *   "type": "eloquent",
+     *   "message": "",
+     *   "data": {
+     *     "username": "foobar100",
+     *     "email": "foobar100@gmail.com",
+     *     "first_name": "Foo",
+     *     "last_name": "Bar",
+     *     "middle_name": null,
+     *     "company_name": "ScientiaMobile Inc",
+     *     "country_id": 1,
+     *     "phone": null,
+     *     "enabled": 1,
+     *     "user_type": 0,
+     *     "id": 23325,
+     *     "cloud_subscriptions": [],
+     *     "wurfljs_subscriptions": [],
+     *     "user_roles": null,
+     *     "subscriptions": []
+     *   },
+     *   "pagination": [],
+     *   "debug": [],
+     *   "status": 201
+     * }
+     * @param {Object} user - User object
+     * @return {Object} Newly-created user account (the "data" of the response above)
+     * @throws {CoreApiConflictError} If the user already exists
+     */
+    async createUser(user) {
+        const payload = { data: [user] }
+        const path = '/user'
+        const resp = await this.doPost(path, payload)
+        const newUser = getResponseData(resp)
+
+        // This is used to confirm the user's account so they do not need to
+        // check their email in order to login.
+        if (user.confirmed === 1 && newUser.id !== undefined) {
+            await this.confirmUser(newUser.id)
+        }
+
+        return newUser
+    }
+
+    /**
+     * Confirm a user account so they do not need to validate their account via email
+     * Note that this is automatically called by createUser() if you pass {confirmed: 1}
+     * @param {number} userID - User ID
+     * @return {Object} Updated user object
+     */
+    async confirmUser(userID) {
+        const payload = { confirmed: 1 }
+        const path = '/users/' + encodeURIComponent(userID)
+        const resp = await this.doPatch(path, payload)
+        return getResponseData(resp)
+    }
+
+    /**
+     * Creates an ImageEngine subscription for with the given attributes
+     * @example payload:
+     * {
+     *     type: 'imgeng',
+     *     plan_id: 'IMAGEENGINE_BASIC',
+     *     payment_type: 'TRIAL',
+     *     user_id: 100,
+     *     account_name: 'Some account name',
+     *     pro_standard: false,
+     *     use_defaults: true,
+     * }
+     * Example response:
+     * {
+     *     "success": true,
+     *     "status": 201,
+     *     "message": "Subscription is set successfully ...",
+     *     "result": {
+     *         "user": {
+     *             "id": 23412,
+     *             "username": "foobar115@gmail.com",
+     *             "email": "foobar115@gmail.com",
+     *             "first_name": null,
+     *             "middle_name": null,
+     *             "last_name": null,
+     *             "company_name": null,
+     *             "phone": null,
+     *             "country_id": 1,
+     *             "customer_id": null,
+     *             "usage_comment": null,
+     *             "enabled": 1,
+     *             "user_type": 0,
+     *             "date_last_modified": null,
+     *             "reseller_id": null,
+     *             "reseller_admin_id": null,
+     *             "remember_token": null,
+     *             "ns_customer_id": null,
+     *             "zendesk_tier_id": null,
+     *             "qb_customer_id": null,
+     *             "confirmed": 1,
+     *             "cloud_subscriptions": [],
+     *             "wurfljs_subscriptions": [],
+     *             "user_roles": null,
+     *             "subscriptions": [
+     *                 {
+     *                     "id": 12684,
+     *                     "user_id": 23412,
+     *                     "account_name": "",
+     *                     "vault_customer_id": null,
+     *                     "vault_subscription_id": null,
+     *                     "payment_type": "TRIAL",
+     *                     "payment_plan": "IMAGEENGINE_BASIC",
+     *                     "payment_method_token": null,
+     *                     "num_capability_addons": 0,
+     *                     "date_started": "2019-12-09 16:39:50",
+     *                     "date_last_payment": null,
+     *                     "date_expiration": null,
+     *                     "status": "PENDING_PAYMENT_INFORMATION",
+     *                     "status_type": null,
+     *                     "date_last_modified": "2019-12-09 16:39:50",
+     *                     "date_trial_end": null,
+     *                     "type": "imgeng",
+     *                     "image_engine_tier_id": 1,
+     *                     "payment_link": "C9HuPdWeJmC0P8CH0cI61qXb19CIK9lbWkokHXVAslWnsAC6LG1a0izsU7B9",
+     *                     "wit_crb_id": null,
+     *                     "plan": {
+     *                         "plan": "IMAGEENGINE_BASIC",
+     *                         "label": "ImageEngine Basic",
+     *                         "name": "ImageEngine Basic",
+     *                         "key": "IMAGEENGINE_BASIC",
+     *                         "url": "imageengine",
+     *                         "price": 100,
+     *                         "limit": 250,
+     *                         "overage_fee": 0.4,
+     *                         "trial_days": 30,
+     *                         "addons": {
+     *                             "bandwidth": {
+     *                                 "name": "Bandwidth",
+     *                                 "price": 0.4,
+     *                                 "value": 1,
+     *                                 "id": "IMAGEENGINE_BASIC_BANDWIDTH",
+     *                                 "nice_name": "$0.4 per 1 GB image SmartBytes overage per month"
+     *                             }
+     *                         }
+     *                     },
+     *                     "plan_changes": [],
+     *                     "extras": [],
+     *                     "downgrades": {
+     *                         "plan": [],
+     *                         "tier": []
+     *                     }
+     *                 }
+     *             ]
+     *         },
+     *         "subscription": {
+     *             "user_id": 12345,
+     *             "account_name": "",
+     *             "payment_plan": "IMAGEENGINE_BASIC",
+     *             "payment_type": "TRIAL",
+     *             "date_started": {
+     *                 "date": "2019-12-09 16:39:50.645250",
+     *                 "timezone_type": 3,
+     *                 "timezone": "America/New_York"
+     *             },
+     *             "date_last_modified": {
+     *                 "date": "2019-12-09 16:39:50.682298",
+     *                 "timezone_type": 3,
+     *                 "timezone": "America/New_York"
+     *             },
+     *             "date_last_payment": null,
+     *             "date_expiration": null,
+     *             "status": "PENDING_PAYMENT_INFORMATION",
+     *             "type": "imgeng",
+     *             "image_engine_tier_id": 1,
+     *             "wit_crb_id": null,
+     *             "id": 12345,
+     *             "payment_link": "dfjaljflakfjalkfjalkfj",
+     *             "plan": {
+     *                 "plan": "IMAGEENGINE_BASIC",
+     *                 "label": "ImageEngine Basic",
+     *                 "name": "ImageEngine Basic",
+     *                 "key": "IMAGEENGINE_BASIC",
+     *                 "url": "imageengine",
+     *                 "price": 100,
+     *                 "limit": 250,
+     *                 "overage_fee": 0.4,
+     *                 "trial_days": 30,
+     *                 "addons": {
+     *                     "bandwidth": {
+     *                         "name": "Bandwidth",
+     *                         "price": 0.4,
+     *                         "value": 1,
+     *                         "id": "IMAGEENGINE_BASIC_BANDWIDTH",
+     *                         "nice_name": "$0.4 per 1 GB image SmartBytes overage per month"
+     *                     }
+     *                 }
+     *             },
+     *             "plan_changes": [],
+     *             "extras": [],
+     *             "downgrades": {
+     *                 "plan": [],
+     *                 "tier": []
+     *             }
+     *         }
+     *     }
+     * }
+     * @param {Object} payload - New subscription properties
+     * @returns {Object} Newly-created user and subscription: {user, subscription}
+     */
+    async createImageEngineSubscription(payload) {
+        const path = '/wit/imageengine/admin-create'
+        const resp = await this.doPost(path, payload)
+        this.logger.info('Created ImageEngine subscription', {
+            status: resp.status,
+        })
+        return getResponseData(resp)
+    }
+
+    /**
+     * Gets the ImageEngine subscriptions of the given user
+     * @example response:
+     * [
+     *     {
+     *         "id": 12684,
+     *         "user_id": 23412,
+     *         "account_name": "Some account name",
+     *         "payment_type": "TRIAL",
+     *         "payment_plan": "IMAGEENGINE_BASIC",
+     *         "date_started": "2019-12-09 16:39:50",
+     *         "date_expiration": null,
+     *         "status": "PENDING_PAYMENT_INFORMATION",
+     *         "type": "imgeng",
+     *         "plan": {...},
+     *         "plan_changes": [],
+     *         "extras": [],
+     *         "downgrades": {...}
+     *     }
+     * ]
+     * @param {number} userID - User ID
+     * @return {Array} Subscriptions, see createImageEngineSubscription() for the full model
+     */
+    async getImageEngineSubscriptions(userID) {
+        const user = await this.getUserByID(userID, ['subscriptions'])
+        return (user.subscriptions || []).filter((sub) => sub.type === 'imgeng')
+    }
+
+    /**
+     * Updates an ImageEngine subscription.  Subscriptions are updated like
+     * the other CoreAPI resources (see confirmUser()), only status and
+     * payment_plan can be changed and other fields are ignored.
+     * @example changes:
+     * {
+     *     status: 'CANCELLED',
+     *     payment_plan: 'IMAGEENGINE_PRO',
+     * }
+     * Example successful response:
+     * {
+     *     "id": 12684,
+     *     "user_id": 23412,
+     *     "account_name": "Some account name",
+     *     "payment_type": "TRIAL",
+     *     "payment_plan": "IMAGEENGINE_BASIC",
+     *     "status": "CANCELLED",
+     *     "date_last_modified": "2019-12-20 10:12:40",
+     *     ...
+     * }
+     * @param {number} subscriptionID - Subscription ID
+     * @param {Object} changes - Fields to update
+     * @return {Object} Updated subscription
+     */
+    async updateImageEngineSubscription(subscriptionID, changes) {
+        const path = `/subscriptions/${encodeURIComponent(subscriptionID)}`
+        const resp = await this.doPatch(
+            path,
+            pick(changes, subscriptionUpdateFields)
+        )
+        this.logger.info('Updated ImageEngine subscription', {
+            status: resp.status,
+        })
+        return getResponseData(resp)
+    }
+
+    /**
+     * Cancels an ImageEngine subscription
+     * @param {number} subscriptionID - Subscription ID
+     * @return {Object} Cancelled subscription, see updateImageEngineSubscription()
+     */
+    async cancelImageEngineSubscription(subscriptionID) {
+        return await this.updateImageEngineSubscription(subscriptionID, {
+            status: 'CANCELLED',
+        })
+    }
+
+    /**
+     * Moves an ImageEngine subscription to another plan
+     * @param {number} subscriptionID - Subscription ID
+     * @param {string} planID - New plan, ex: 'IMAGEENGINE_PRO'
+     * @return {Object} Updated subscription, see updateImageEngineSubscription()
+     */
+    async changeImageEngineSubscriptionPlan(subscriptionID, planID) {
+        return await this.updateImageEngineSubscription(subscriptionID, {
+            payment_plan: planID,
+        })
+    }
+
+    /**
+     * Creates an ImageEngine origin configuration
+     * @example payload:
+     * {
+     *     subscription_id:  12345,
+     *     name: 'default', // use 'default' for the default origin
+     *     url: 'https://foo.bar.com',
+     *     hostname: '',
+     *     url_type: 'https', // must match the url above!
+     * }
+     * Example successful response:
+     * {
+     *     "subscription_id": 12687,
+     *     "name": "default",
+     *     "url": "https://srkdev.com",
+     *     "hostname": "",
+     *     "url_type": "https",
+     *     "updated_at": "2019-12-10 20:44:22",
+     *     "created_at": "2019-12-10 20:44:22",
+     *     "id": 294
+     * }
+     * @param {Object} payload - New origin configuration
+     */
+    async createImageEngineOrigin(payload) {
+        const path = '/wit_origins'
+        const resp = await this.doPost(path, payload)
+        this.logger.info('Created ImageEngine origin', { status: resp.status })
+        return getResponseData(resp)
+    }
+
+    /**
+     * Gets an ImageEngine origin configuration
+     * @example response:
+     * {
+     *     "subscription_id": 12687,
+     *     "name": "default",
+     *     "url": "https://srkdev.com",
+     *     "hostname": "",
+     *     "url_type": "https",
+     *     "updated_at": "2019-12-10 20:44:22",
+     *     "created_at": "2019-12-10 20:44:22",
+     *     "id": 294
+     * }
+     * @param {number} originID - Origin ID
+     * @return {Object} Origin configuration
+     * @throws {CoreApiNotFoundError} If the origin does not exist
+     */
+    async getImageEngineOrigin(originID) {
+        const path = `/wit_origins/${encodeURIComponent(originID)}`
+        const resp = await this.doGet(path)
+        return getResponseData(resp)
+    }
+
+    /**
+     * Updates an ImageEngine origin configuration.  Only name, url, hostname
+     * and url_type can be changed, other fields are ignored.
+     * @example changes:
+     * {
+     *     url: 'https://images.bar.com',
+     *     url_type: 'https', // must match the url above!
+     * }
+     * Example successful response:
+     * {
+     *     "subscription_id": 12687,
+     *     "name": "default",
+     *     "url": "https://images.bar.com",
+     *     "hostname": "",
+     *     "url_type": "https",
+     *     "updated_at": "2019-12-11 10:02:14",
+     *     "created_at": "2019-12-10 20:44:22",
+     *     "id": 294
+     * }
+     * @param {number} originID - Origin ID
+     * @param {Object} changes - Fields to update
+     * @return {Object} Updated origin configuration
+     */
+    async updateImageEngineOrigin(originID, changes) {
+        const path = `/wit_origins/${encodeURIComponent(originID)}`
+        const resp = await this.doPatch(path, pick(changes, originUpdateFields))
+        this.logger.info('Updated ImageEngine origin', { status: resp.status })
+        return getResponseData(resp)
+    }
+
+    /**
+     * Deletes an ImageEngine origin configuration
+     * @param {number} originID - Origin ID
+     */
+    async deleteImageEngineOrigin(originID) {
+        const path = `/wit_origins/${encodeURIComponent(originID)}`
+        const resp = await this.doDelete(path)
+        this.logger.info('Deleted ImageEngine origin', { status: resp.status })
+    }
+
+    /**
+     * Creates several ImageEngine origins for a subscription, in order.  If
+     * one can't be created, the ones created before it are deleted again.
+     * @example origins:
+     * [
+     *     { name: 'default', url: 'https://images.foo.com', hostname: '' },
+     *     { name: 'products', url: 'https://foo-products.s3.amazonaws.com' },
+     * ]
+     * @param {number} subscriptionID - Subscription ID
+     * @param {number} domainID - ID of the subscription's domain configuration
+     * @param {Array} origins - Origins with a unique name and a url, and optionally a hostname
+     * @return {Array} Created origins, see createImageEngineOrigin()
+     */
+    async createImageEngineOrigins(subscriptionID, domainID, origins) {
+        let created = []
+        try {
+            for (const origin of origins) {
+                const url = new URL(origin.url)
+                created.push(
+                    await this.createImageEngineOrigin({
+                        subscription_id: subscriptionID,
+                        name: origin.name,
+                        url: origin.url,
+                        hostname: origin.hostname || '',
+                        url_type: url.protocol.replace(/:$/, ''),
+                        // this must be set to the domain_conf ID (I know it looks wrong)
+                        origin_conf_id: domainID,
+                    })
+                )
+            }
+        } catch (err) {
+            for (const origin of created.reverse()) {
+                try {
+                    await this.deleteImageEngineOrigin(origin.id)
+                } catch (deleteErr) {
+                    this.logger.error('Unable to delete ImageEngine origin', {
+                        originID: origin.id,
+                        err: deleteErr,
+                    })
+                }
+            }
+            throw err
+        }
+        return created
+    }
+
+    /**
+     * Creates an ImageEngine domain configuration
+     * @example payload:
+     * {
+     *     subscription_id: 1234,
+     *     url: '', // url of the origin the domain uses
+     *     hostname: '', // custom hostname, ex: 'images.example.com' (optional)
+     *     cname: generatedDomainName,
+     *     url_type: 'https', // must match the url above!
+     *     origin_conf_id: 2314,
+     *     iam_flag: 0,
+     *     ie_only_flag: 0,
+     *     allow_origin_prefix: 1,
+     *     custom_wildcard_flag: 0,
+     *     transition_time: 300,
+     * }
+     * Example successful response:
+     * {
+     *     "subscription_id": 12876,
+     *     "url": "",
+     *     "hostname": "",
+     *     "cname": "fydzoku1.cdn",
+     *     "url_type": "http",
+     *     "iam_flag": 0,
+     *     "ie_only_flag": 0,
+     *     "allow_origin_prefix": 1,
+     *     "custom_wildcard_flag": 0,
+     *     "transition_time": 300,
+     *     "updated_at": "2019-12-17 20:07:16",
+     *     "created_at": "2019-12-17 20:07:16",
+     *     "id": 639
+     * }
+     * @param {Object} payload - New domain configuration
+     */
+    async createImageEngineDomain(payload) {
+        const path = '/wit_domain_confs'
+        const resp = await this.doPost(path, payload)
+        this.logger.info('Created ImageEngine domain', { status: resp.status })
+        return getResponseData(resp)
+    }
+
+    /**
+     * Gets an ImageEngine domain configuration
+     * @example response:
+     * {
+     *     "subscription_id": 12876,
+     *     "url": "",
+     *     "hostname": "",
+     *     "cname": "fydzoku1.cdn",
+     *     "url_type": "http",
+     *     "iam_flag": 0,
+     *     "ie_only_flag": 0,
+     *     "allow_origin_prefix": 1,
+     *     "custom_wildcard_flag": 0,
+     *     "transition_time": 300,
+     *     "updated_at": "2019-12-17 20:07:16",
+     *     "created_at": "2019-12-17 20:07:16",
+     *     "id": 639
+     * }
+     * @param {number} domainID - Domain configuration ID
+     * @return {Object} Domain configuration
+     * @throws {CoreApiNotFoundError} If the domain does not exist
+     */
+    async getImageEngineDomain(domainID) {
+        const path = `/wit_domain_confs/${encodeURIComponent(domainID)}`
+        const resp = await this.doGet(path)
+        return getResponseData(resp)
+    }
+
+    /**
+     * Gets the domain configurations of an ImageEngine subscription
+     * @param {number} subscriptionID - Subscription ID
+     * @return {Array} Domain configurations, see getImageEngineDomain()
+     */
+    async getImageEngineDomains(subscriptionID) {
+        let domains = []
+        const iterator = this.iterateCollection('/wit_domain_confs', {
+            subscription_id: subscriptionID,
+        })
+        for await (const domain of iterator) {
+            domains.push(domain)
+        }
+        return domains
+    }
+
+    /**
+     * Finds the ImageEngine domain configuration with the given cname
+     * @param {string} cname - ex: 'fydzoku1.cdn'
+     * @return {Object} Domain configuration (see getImageEngineDomain()), or null if there is none
+     */
+    async findImageEngineDomainByCname(cname) {
+        const result = await this.searchCollection(
+            '/wit_domain_confs',
+            { cname: cname },
+            null,
+            { perPage: 1 }
+        )
+        return result.items.length > 0 ? result.items[0] : null
+    }
+
+    /**
+     * Updates an ImageEngine domain configuration.  Only transition_time,
+     * iam_flag, allow_origin_prefix and custom_wildcard_flag can be changed,
+     * other fields are ignored.
+     * @example changes:
+     * {
+     *     transition_time: 600,
+     *     iam_flag: 1,
+     *     allow_origin_prefix: 0,
+     *     custom_wildcard_flag: 0,
+     * }
+     * Example successful response:
+     * {
+     *     "subscription_id": 12876,
+     *     "url": "",
+     *     "hostname": "",
+     *     "cname": "fydzoku1.cdn",
+     *     "url_type": "http",
+     *     "iam_flag": 1,
+     *     "ie_only_flag": 0,
+     *     "allow_origin_prefix": 0,
+     *     "custom_wildcard_flag": 0,
+     *     "transition_time": 600,
+     *     "updated_at": "2019-12-18 09:12:40",
+     *     "created_at": "2019-12-17 20:07:16",
+     *     "id": 639
+     * }
+     * @param {number} domainID - Domain configuration ID
+     * @param {Object} changes - Fields to update
+     * @return {Object} Updated domain configuration
+     */
+    async updateImageEngineDomain(domainID, changes) {
+        const path = `/wit_domain_confs/${encodeURIComponent(domainID)}`
+        const resp = await this.doPatch(path, pick(changes, domainUpdateFields))
+        this.logger.info('Updated ImageEngine domain', { status: resp.status })
+        return getResponseData(resp)
+    }
+
+    /**
+     * Deletes an ImageEngine domain configuration
+     * @param {number} domainID - Domain configuration ID
+     */
+    async deleteImageEngineDomain(domainID) {
+        const path = `/wit_domain_confs/${encodeURIComponent(domainID)}`
+        const resp = await this.doDelete(path)
+        this.logger.info('Deleted ImageEngine domain', { status: resp.status })
+    }
+
+    /**
+     * Creates an ImageEngine Demo Run
+     * @example payload:
+     * {
+     *     subscription_id:  12345,
+     *     date_run: '2019-12-10 20:44:22',
+     *     demo_id: '5ef5b29f-94de-4bc8-a211-34e8801174b2',
+     *     domain: '',
+     *     url: ''
+     * }
+     * Example successful response:
+     * {
+     * }
+     * @param {Object} payload - New origin configuration
+     */
+    async createImageEngineDemoRun(payload) {
+        const path = '/wit/imageengine/demo-run'
+        const resp = await this.doPost(path, payload)
+        this.logger.info('Created ImageEngine demo run', {
+            status: resp.status,
+        })
+        return getResponseData(resp)
+    }
+
+    /**
+     * Adds a new ImageEngine Lead Gen
+     * @example payload:
+     * {
+     *     subscription_id:  12345,
+     *     date_referred: '2019-12-10 20:44:22',
+     *     campaign_name: 'Carbon Ads',
+     *     url_query_string: '',
+     * }
+     * Example successful response:
+     * {
+     * }
+     * @param {Object} payload - New origin configuration
+     */
+    async createImageEngineLeadGen(payload) {
+        const path = '/wit/imageengine/add-lead-gen'
+        const resp = await this.doPost(path, payload)
+        this.logger.info('Added ImageEngine lead gen', { status: resp.status })
+        return getResponseData(resp)
+    }
+
+    /**
+     * Sends a password reset email to the speficied user
+     * NOTE: In staging, emails are logged in the Laravel log but are not sent
+     * @example payload:
+     * {
+     * 	"email": "foo@gmail.com",
+     * 	"template": "imageengine"
+     * }
+     * Example successful response
+     * {
+     *     "success": true,
+     *     "type": "eloquent",
+     *     "message": "Password reset email sent",
+     *     "data": [],
+     *     "pagination": [],
+     *     "debug": [],
+     *     "status": 200
+     * }
+     * @param {Object} payload
+     */
+    async sendPasswordResetEmail(payload) {
+        const path = '/password_reset'
+        const resp = await this.doPost(path, payload)
+        this.logger.info('Sent password reset email', { status: resp.status })
+        return getResponseData(resp)
+    }
+
+    /**
+     * Sends a Welcome email to the speficied user
+     * NOTE: In staging, emails are logged in the Laravel log but are not sent
+     * @example payload:
+     * {
+     * 	"subscription_id": "13380"
+     * }
+     * Example successful response
+     * {
+     *     "success": true,
+     *     "type": "eloquent",
+     *     "message": "Welcome email sent",
+     *     "data": [],
+     *     "pagination": [],
+     *     "debug": [],
+     *     "status": 200
+     * }
+     * @param {Object} payload
+     */
+    async sendImageEngineWelcomeEmail(payload) {
+        const path = '/wit/imageengine/send-welcome-email'
+        const resp = await this.doPost(path, payload)
+        this.logger.info('Sent ImageEngine welcome email', {
+            status: resp.status,
+        })
+        return getResponseData(resp)
+    }
+
+    /**
+     * Example response:
+     * [
+     *     {
+     *         "RegionName": "us-east-1",
+     *         "Deploy": "ALL"
+     *     },
+     *     {
+     *         "RegionName": "us-east-2",
+     *         "Deploy": "ALL"
+     *     }
+     * ],
+     * @return {Array} AWS regions
+     */
+    async getAWSRegions() {
+        return await this.referenceCache.get('regions', async () => {
+            const path = '/wit/imageengine/aws/regions'
+            const resp = await this.doGet(path)
+            this.logger.info('Got AWS regions', { status: resp.status })
+            return getResponseData(resp)
+        })
+    }
+
+    /**
+     * Gets all countries
+     * @example response:
+     * [
+     *     {
+     *         "country_id": 230,
+     *         "code": "US",
+     *         "name": "United States"
+     *     },
+     *     ...
+     * ]
+     * @return {Array} Countries
+     */
+    async getCountries() {
+        return await this.referenceCache.get('countries', async () => {
+            let countries = []
+            const iterator = this.iterateCollection('/country')
+            for await (const country of iterator) {
+                countries.push(country)
+            }
+            this.logger.info('Got countries', { count: countries.length })
+            return countries
+        })
+    }
+
+    /**
+     * Discards cached reference data so it is fetched again on next use
+     * @param {string} key - 'regions' or 'countries', all if not set
+     */
+    invalidateReferenceData(key) {
+        this.referenceCache.invalidate(key)
+    }
+
+    /**
+     * Gets the country with the given ISO 3166-1 alpha-2 code
+     * @example response:
+     * {
+     *     "country_id": 230,
+     *     "code": "US",
+     *     "name": "United States"
+     * }
+     * @param {string} countryCode - ex: 'US'
+     * @return {Object} Country
+     * @throws {CoreApiNotFoundError} If the country does not exist
+     */
+    async getCountryID(countryCode) {
+        const code = String(countryCode).toUpperCase()
+        const countries = await this.getCountries()
+        const country = countries.find((c) => c.code === code)
+        if (country === undefined) {
+            throw new errors.CoreApiNotFoundError(
+                `Country could not be found: ${countryCode}`,
+                { status: 404 }
+            )
+        }
+        return country
+    }
+
+    /**
+     * Configures DNS records for an ImageEngine domain
+     * @example payload:
+     * {
+     * 	"action": "CREATE",
+     * 	"records": [
+     *    {
+     *       "domain": "foo.bar.com",
+     *       "region": "us-east-2",
+     *       "type": "A"
+     *    }
+     *  ]
+     * }
+     * Example successful response
+     * {
+     *     "success": true,
+     *     "type": "eloquent",
+     *     "message": "Password reset email sent",
+     *     "data": [],
+     *     "pagination": [],
+     *     "debug": [],
+     *     "status": 200
+     * }
+     * @param {Array} records - Records to configure
+     * @param {string} action - 'CREATE' (default), 'UPDATE' or 'DELETE'
+     */
+    async createDNSRecords(records, action) {
+        action = action || 'CREATE'
+        if (!dnsRecordActions[action]) {
+            throw new Error(`Invalid DNS record action: ${action}`)
+        }
+
+        let payload = {
+            action: action,
+            records: records,
+        }
+        const path = '/wit/imageengine/resource/record'
+        const resp = await this.doPost(path, payload)
+        this.logger.info(dnsRecordActions[action], {
+            status: resp.status,
+            count: records.length,
+        })
+        return getResponseData(resp)
+    }
+
+    /**
+     * Removes DNS records of an ImageEngine domain
+     * @param {Array} records - Records as passed to createDNSRecords()
+     */
+    async deleteDNSRecords(records) {
+        return await this.createDNSRecords(records, 'DELETE')
+    }
+
+    /**
+     * Gets the DNS records of an ImageEngine domain
+     * @example response:
+     * [
+     *     {
+     *         "domain": "fydzoku1.cdn",
+     *         "region": "us-east-2",
+     *         "type": "A"
+     *     }
+     * ]
+     * @param {string} domain - The domain's cname, ex: 'fydzoku1.cdn'
+     * @return {Array} DNS records
+     */
+    async getDNSRecords(domain) {
+        let records = []
+        const iterator = this.iterateCollection(
+            '/wit/imageengine/resource/record',
+            { domain: domain }
+        )
+        for await (const record of iterator) {
+            records.push(record)
+        }
+        return records
+    }
+}
+
+module.exports = CoreApiClient
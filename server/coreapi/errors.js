@@ -0,0 +1,157 @@
+/**
+ * @file
+ * Errors thrown by the CoreAPI client
+ */
+
+/**
+ * Base class for all CoreAPI errors
+ */
+class CoreApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {number} details.status - HTTP status returned by the CoreAPI (0 if there was no response)
+     * @param {string} details.coreApiMessage - The message in the CoreAPI response body, if any
+     * @param {string} details.requestId - The CoreAPI request ID, if any
+     * @param {*} details.data - The CoreAPI response body
+     */
+    constructor(message, details) {
+        super(message)
+        details = details || {}
+        this.name = this.constructor.name
+        this.status = details.status || 0
+        this.coreApiMessage = details.coreApiMessage || null
+        this.requestId = details.requestId || null
+        this.data = details.data === undefined ? null : details.data
+    }
+}
+
+/**
+ * The CoreAPI rejected the request payload (400, 422)
+ */
+class CoreApiValidationError extends CoreApiError {}
+
+/**
+ * The requested resource does not exist (404)
+ */
+class CoreApiNotFoundError extends CoreApiError {}
+
+/**
+ * The CoreAPI rejected our credentials or access token (401, 403)
+ */
+class CoreApiAuthError extends CoreApiError {}
+
+/**
+ * The resource already exists or was modified concurrently (409)
+ */
+class CoreApiConflictError extends CoreApiError {}
+
+/**
+ * The CoreAPI failed or could not be reached (5xx, network errors, timeouts)
+ */
+class CoreApiServerError extends CoreApiError {}
+
+/**
+ * Requests are not being sent because the CoreAPI circuit breaker is open
+ */
+class CoreApiUnavailableError extends CoreApiServerError {}
+
+// The CoreAPI reports duplicates as a 400 with this message prefix
+const duplicateMessageRegex = /^Duplicate entry/i
+
+/**
+ * Gets the error class that corresponds to the given status and message
+ * @param {number} status
+ * @param {string} coreApiMessage
+ * @return {Function}
+ */
+const getErrorClass = (status, coreApiMessage) => {
+    if (status === 409) {
+        return CoreApiConflictError
+    }
+    if (status === 400 && duplicateMessageRegex.test(coreApiMessage || '')) {
+        return CoreApiConflictError
+    }
+    if (status === 400 || status === 422) {
+        return CoreApiValidationError
+    }
+    if (status === 401 || status === 403) {
+        return CoreApiAuthError
+    }
+    if (status === 404) {
+        return CoreApiNotFoundError
+    }
+    if (status >= 400 && status < 500) {
+        return CoreApiValidationError
+    }
+
+    return CoreApiServerError
+}
+
+/**
+ * Creates a CoreApiError from a CoreAPI response
+ * @param {Object} resp - axios response (or axios error.response)
+ * @param {string} description - What the request was doing, ex: 'GET /users'
+ * @return {CoreApiError}
+ */
+const fromResponse = (resp, description) => {
+    const data = resp.data
+    const body = data !== null && typeof data === 'object' ? data : {}
+    // Envelope errors can come back with a 2xx HTTP status
+    const status =
+        resp.status >= 400 || !body.status ? resp.status : body.status
+    const coreApiMessage =
+        typeof body.message === 'string' && body.message !== ''
+            ? body.message
+            : null
+    const headers = resp.headers || {}
+    const requestId = headers['x-request-id'] || body.request_id || null
+
+    const ErrorClass = getErrorClass(status, coreApiMessage)
+    const message = `CoreAPI ${description} failed with status ${status}${
+        coreApiMessage ? `: ${coreApiMessage}` : ''
+    }`
+
+    return new ErrorClass(message, {
+        status: status,
+        coreApiMessage: coreApiMessage,
+        requestId: requestId,
+        data: data,
+    })
+}
+
+/**
+ * Creates a CoreApiError from an error thrown while making a request
+ * @param {Error} err - axios error
+ * @param {string} description - What the request was doing, ex: 'GET /users'
+ * @return {CoreApiError}
+ */
+const fromRequestError = (err, description) => {
+    if (err instanceof CoreApiError) {
+        return err
+    }
+
+    if (err.response) {
+        return fromResponse(err.response, description)
+    }
+
+    if (err.code === 'ECIRCUITOPEN') {
+        return new CoreApiUnavailableError(err.message, { status: 503 })
+    }
+
+    return new CoreApiServerError(
+        `CoreAPI ${description} failed: ${err.message}`
+    )
+}
+
+module.exports = {
+    CoreApiError: CoreApiError,
+    CoreApiValidationError: CoreApiValidationError,
+    CoreApiNotFoundError: CoreApiNotFoundError,
+    CoreApiAuthError: CoreApiAuthError,
+    CoreApiConflictError: CoreApiConflictError,
+    CoreApiServerError: CoreApiServerError,
+    CoreApiUnavailableError: CoreApiUnavailableError,
+    fromResponse: fromResponse,
+    fromRequestError: fromRequestError,
+}
@@ -0,0 +1,119 @@
+/**
+ * @file
+ * In-memory cache for CoreAPI reference data that rarely changes, like the
+ * list of countries or AWS regions
+ *
+ * Entries are fresh for `ttl` ms.  After that they are still served for up to
+ * `staleTtl` more ms while a new copy is fetched in the background
+ * (stale-while-revalidate).  If the background fetch fails the stale copy is
+ * kept until the stale window ends.
+ */
+
+const { logger } = require('../logger')
+
+class ReferenceCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.ttl - Milliseconds an entry is fresh (default: 1 hour)
+     * @param {Object} options.ttls - Per-key overrides of ttl, ex: {countries: 86400000}
+     * @param {number} options.staleTtl - Milliseconds an expired entry may still be served (default: 1 day)
+     * @param {Logger} options.logger - Logger for background refresh failures
+     */
+    constructor(options) {
+        options = options || {}
+        this.ttl = options.ttl !== undefined ? options.ttl : 3600000
+        this.ttls = options.ttls || {}
+        this.staleTtl =
+            options.staleTtl !== undefined ? options.staleTtl : 86400000
+        this.logger = options.logger || logger
+        this.entries = new Map()
+        // Pending loads by key, shared by all callers waiting on them
+        this.pending = new Map()
+        // Incremented by invalidate()
+        this.generation = 0
+    }
+
+    /**
+     * Gets a cached value, calling loader() to fetch it when needed
+     * @param {string} key
+     * @param {Function} loader - Async function that fetches the value
+     * @return {*}
+     */
+    async get(key, loader) {
+        const entry = this.entries.get(key)
+        const now = Date.now()
+
+        if (entry && now < entry.expiresAt) {
+            return entry.value
+        }
+
+        if (entry && now < entry.staleUntil) {
+            this.load(key, loader).catch((err) =>
+                this.logger.warn('Unable to refresh CoreAPI reference data', {
+                    key: key,
+                    err: err,
+                })
+            )
+            return entry.value
+        }
+
+        return await this.load(key, loader)
+    }
+
+    /**
+     * Fetches and stores a value.  Concurrent loads of the same key share
+     * one call to loader().
+     * @param {string} key
+     * @param {Function} loader
+     * @return {*}
+     */
+    load(key, loader) {
+        if (this.pending.has(key)) {
+            return this.pending.get(key)
+        }
+
+        // An invalidation while loading must not be undone by the result
+        const generation = this.generation
+        const promise = loader()
+            .then((value) => {
+                if (this.generation === generation) {
+                    const ttl =
+                        this.ttls[key] !== undefined ? this.ttls[key] : this.ttl
+                    const expiresAt = Date.now() + ttl
+                    this.entries.set(key, {
+                        value: value,
+                        expiresAt: expiresAt,
+                        staleUntil: expiresAt + this.staleTtl,
+                    })
+                }
+                return value
+            })
+            .finally(() => {
+                if (this.pending.get(key) === promise) {
+                    this.pending.delete(key)
+                }
+            })
+        this.pending.set(key, promise)
+        return promise
+    }
+
+    /**
+     * Removes an entry so the next get() fetches it again.  Removes all
+     * entries if no key is given.
+     * @param {string} key
+     */
+    invalidate(key) {
+        this.generation++
+        if (key === undefined) {
+            this.entries.clear()
+            this.pending.clear()
+            return
+        }
+        this.entries.delete(key)
+        this.pending.delete(key)
+    }
+}
+
+module.exports = {
+    ReferenceCache: ReferenceCache,
+}
@@ -0,0 +1,113 @@
+/**
+ * @file
+ * Builds the /search:(...) path segment used to filter CoreAPI collections
+ */
+
+// Comparison operators understood by the CoreAPI search syntax
+const operators = ['=', '!=', '>', '>=', '<', '<=', '~']
+
+const fieldRegex = /^[a-zA-Z_][a-zA-Z0-9_.]*$/
+
+/**
+ * Collects search terms for a CoreAPI collection
+ * @example
+ * new SearchBuilder()
+ *     .where('email', 'foo@bar.com')
+ *     .where('id', '>', 100)
+ *     .toString()
+ * // => '/search:(email=foo%40bar.com,id>100)'
+ */
+class SearchBuilder {
+    constructor() {
+        this.terms = []
+    }
+
+    /**
+     * Adds a search term.  The operator can be omitted for equality:
+     * where('email', 'foo@bar.com')
+     * @param {string} field - Field name, ex: 'email'
+     * @param {string} operator - One of =, !=, >, >=, <, <=, ~ (contains)
+     * @param {string|number} value
+     * @return {SearchBuilder}
+     */
+    where(field, operator, value) {
+        if (value === undefined) {
+            value = operator
+            operator = '='
+        }
+
+        if (!fieldRegex.test(field)) {
+            throw new Error(`Invalid CoreAPI search field: ${field}`)
+        }
+        if (!operators.includes(operator)) {
+            throw new Error(`Invalid CoreAPI search operator: ${operator}`)
+        }
+
+        this.terms.push({ field: field, operator: operator, value: value })
+        return this
+    }
+
+    /**
+     * @return {Boolean}
+     */
+    isEmpty() {
+        return this.terms.length === 0
+    }
+
+    /**
+     * Gets the path segment for the search, or '' if there are no terms
+     * @return {string}
+     */
+    toString() {
+        if (this.isEmpty()) {
+            return ''
+        }
+
+        const terms = this.terms.map(
+            (term) =>
+                term.field + term.operator + encodeURIComponent(term.value)
+        )
+        return `/search:(${terms.join(',')})`
+    }
+
+    /**
+     * Creates a SearchBuilder from an object of field => value pairs.
+     * Values can also be objects of operator => value pairs.  Empty values
+     * are skipped.
+     * @example
+     * SearchBuilder.from({
+     *     email: 'foo@bar.com',
+     *     id: { '>': 100, '<=': 200 },
+     * })
+     * @param {Object|SearchBuilder} terms
+     * @return {SearchBuilder}
+     */
+    static from(terms) {
+        if (terms instanceof SearchBuilder) {
+            return terms
+        }
+
+        const builder = new SearchBuilder()
+        for (const field in terms || {}) {
+            const value = terms[field]
+            if (value === undefined || value === null || value === '') {
+                continue
+            }
+
+            if (typeof value === 'object') {
+                for (const operator in value) {
+                    builder.where(field, operator, value[operator])
+                }
+                continue
+            }
+
+            builder.where(field, '=', value)
+        }
+        return builder
+    }
+}
+
+module.exports = {
+    SearchBuilder: SearchBuilder,
+    operators: operators,
+}
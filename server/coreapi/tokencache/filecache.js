@@ -0,0 +1,144 @@
+/**
+ * @file
+ * Stores CoreAPI access tokens as JSON files.  Files are only readable by the
+ * current user and are replaced atomically, so several processes can share
+ * the same directory.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { logger } = require('../../logger')
+
+const filePrefix = 'njs-coreapi-access-token-'
+
+// How often to check if a lock has been released (ms)
+const lockRetryInterval = 100
+
+// Locks older than this are assumed to belong to a crashed process (ms)
+const defaultStaleLockTimeout = 30000
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+class FileTokenCache {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory in which to store the tokens
+     * @param {number} options.staleLockTimeout - Age in ms after which a lock is broken
+     */
+    constructor(options) {
+        this.dir = options.dir
+        this.staleLockTimeout =
+            options.staleLockTimeout || defaultStaleLockTimeout
+    }
+
+    /**
+     * Gets the full path to the cache file for the given key
+     * @param {string} key
+     * @return {string}
+     */
+    getFilepath(key) {
+        return path.join(this.dir, `${filePrefix}${key}.json`)
+    }
+
+    async read(key) {
+        const file = this.getFilepath(key)
+        let contents = null
+        try {
+            contents = await fs.promises.readFile(file, 'utf8')
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null
+            }
+            throw err
+        }
+
+        try {
+            return JSON.parse(contents)
+        } catch (err) {
+            await this.remove(key)
+            throw new Error('Unable to parse cache data file')
+        }
+    }
+
+    async write(key, data) {
+        const file = this.getFilepath(key)
+        // Write to a temporary file first so readers never see a partial file
+        const tmpFile = `${file}.${process.pid}.${crypto
+            .randomBytes(4)
+            .toString('hex')}.tmp`
+
+        try {
+            await fs.promises.writeFile(
+                tmpFile,
+                JSON.stringify(data, '', '  '),
+                { mode: 0o600 }
+            )
+            await fs.promises.rename(tmpFile, file)
+        } catch (err) {
+            await fs.promises.unlink(tmpFile).catch(() => {})
+            throw err
+        }
+        logger.debug('CoreAPI auth cache stored', { file: file })
+    }
+
+    async remove(key) {
+        try {
+            await fs.promises.unlink(this.getFilepath(key))
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err
+            }
+        }
+    }
+
+    async withLock(key, fn) {
+        const lockFile = this.getFilepath(key) + '.lock'
+        await this.acquireLock(lockFile)
+        try {
+            return await fn()
+        } finally {
+            await fs.promises.unlink(lockFile).catch(() => {})
+        }
+    }
+
+    /**
+     * Waits until the lock file can be created exclusively
+     * @param {string} lockFile
+     */
+    async acquireLock(lockFile) {
+        for (;;) {
+            try {
+                const handle = await fs.promises.open(lockFile, 'wx', 0o600)
+                await handle.close()
+                return
+            } catch (err) {
+                if (err.code !== 'EEXIST') {
+                    throw err
+                }
+            }
+
+            // Break the lock if its owner seems to have died
+            try {
+                const stat = await fs.promises.stat(lockFile)
+                if (Date.now() - stat.mtimeMs > this.staleLockTimeout) {
+                    logger.warn('Removing stale CoreAPI lock file', {
+                        file: lockFile,
+                    })
+                    await fs.promises.unlink(lockFile)
+                    continue
+                }
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    throw err
+                }
+                // The lock was released in the meantime
+                continue
+            }
+
+            await sleep(lockRetryInterval)
+        }
+    }
+}
+
+module.exports = FileTokenCache
@@ -0,0 +1,49 @@
+/**
+ * @file
+ * Storage backends for CoreAPI access tokens
+ *
+ * Every backend implements the same interface:
+ *
+ *   async read(key)         Returns the stored object, or null if there is none
+ *   async write(key, data)  Stores the object, replacing the previous one
+ *   async remove(key)       Removes the stored object, if any
+ *   async withLock(key, fn) Calls fn() while holding an exclusive lock on key
+ *                           and returns its result
+ *
+ * The lock is used to make sure only one process fetches a new access token at
+ * a time; the others wait and then use the token it stored.  The memory
+ * backend only coordinates within the current process.
+ */
+
+const os = require('os')
+const FileTokenCache = require('./filecache')
+const MemoryTokenCache = require('./memorycache')
+const SQLiteTokenCache = require('./sqlitecache')
+
+/**
+ * Creates a token cache with the given driver
+ * @param {string} driver - 'file', 'memory' or 'sqlite'
+ * @param {string} dir - Directory for the file and sqlite drivers (default: os.tmpdir())
+ * @return {Object} Token cache
+ */
+const createTokenCache = (driver, dir) => {
+    dir = dir || os.tmpdir()
+
+    switch (driver) {
+        case 'file':
+            return new FileTokenCache({ dir: dir })
+        case 'memory':
+            return new MemoryTokenCache()
+        case 'sqlite':
+            return new SQLiteTokenCache({ dir: dir })
+        default:
+            throw new Error(`Invalid CoreAPI token cache driver: ${driver}`)
+    }
+}
+
+module.exports = {
+    createTokenCache: createTokenCache,
+    FileTokenCache: FileTokenCache,
+    MemoryTokenCache: MemoryTokenCache,
+    SQLiteTokenCache: SQLiteTokenCache,
+}
@@ -0,0 +1,50 @@
+/**
+ * @file
+ * Keeps CoreAPI access tokens in memory.  Tokens are lost on restart and are
+ * not shared with other processes.
+ */
+
+class MemoryTokenCache {
+    constructor() {
+        this.entries = new Map()
+        // Tail of the queue of lock holders for each key
+        this.locks = new Map()
+    }
+
+    async read(key) {
+        if (!this.entries.has(key)) {
+            return null
+        }
+
+        return JSON.parse(this.entries.get(key))
+    }
+
+    async write(key, data) {
+        // Store a copy so callers can't modify the cached data
+        this.entries.set(key, JSON.stringify(data))
+    }
+
+    async remove(key) {
+        this.entries.delete(key)
+    }
+
+    async withLock(key, fn) {
+        const previous = this.locks.get(key) || Promise.resolve()
+        let release = null
+        const held = new Promise((resolve) => (release = resolve))
+        const tail = previous.then(() => held)
+        this.locks.set(key, tail)
+
+        await previous
+        try {
+            return await fn()
+        } finally {
+            release()
+            if (this.locks.get(key) === tail) {
+                this.locks.delete(key)
+            }
+        }
+    }
+}
+
+module.exports = MemoryTokenCache
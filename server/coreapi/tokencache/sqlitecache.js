@@ -0,0 +1,150 @@
+/**
+ * @file
+ * Stores CoreAPI access tokens in a SQLite database that can be shared by
+ * several server processes
+ */
+
+const path = require('path')
+const { logger } = require('../../logger')
+
+const dbFile = 'coreapi-tokens.sqlite3'
+
+// How often to check if a lock has been released (ms)
+const lockRetryInterval = 100
+
+// Locks older than this are assumed to belong to a crashed process (ms)
+const defaultStaleLockTimeout = 30000
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+class SQLiteTokenCache {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory in which to create the database
+     * @param {string} options.file - Full path to the database, overrides dir
+     * @param {number} options.staleLockTimeout - Age in ms after which a lock is broken
+     */
+    constructor(options) {
+        this.file = options.file || path.join(options.dir, dbFile)
+        this.staleLockTimeout =
+            options.staleLockTimeout || defaultStaleLockTimeout
+        this.db = null
+        this.ready = null
+    }
+
+    /**
+     * Opens the database and creates the tables on first use
+     * @return {Database}
+     */
+    async getDatabase() {
+        if (this.ready === null) {
+            // Only load the native module when this backend is actually used
+            const sqlite3 = require('sqlite3')
+            this.ready = new Promise((resolve, reject) => {
+                this.db = new sqlite3.Database(this.file, (err) =>
+                    err ? reject(err) : resolve()
+                )
+            }).then(async () => {
+                // Wait for other processes instead of failing with SQLITE_BUSY
+                this.db.configure('busyTimeout', 5000)
+                await this.run(
+                    'CREATE TABLE IF NOT EXISTS coreapi_tokens (key TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at INTEGER NOT NULL)'
+                )
+                await this.run(
+                    'CREATE TABLE IF NOT EXISTS coreapi_token_locks (key TEXT PRIMARY KEY, owner TEXT NOT NULL, created_at INTEGER NOT NULL)'
+                )
+            })
+        }
+
+        await this.ready
+        return this.db
+    }
+
+    /**
+     * Promise version of Database#run()
+     * @return {Object} Statement with `changes` and `lastID`
+     */
+    run(sql, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params || [], function (err) {
+                err ? reject(err) : resolve(this)
+            })
+        })
+    }
+
+    /**
+     * Promise version of Database#get()
+     * @return {Object} The first row, or undefined
+     */
+    get(sql, params) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params || [], (err, row) =>
+                err ? reject(err) : resolve(row)
+            )
+        })
+    }
+
+    async read(key) {
+        await this.getDatabase()
+        const row = await this.get(
+            'SELECT data FROM coreapi_tokens WHERE key = ?',
+            [key]
+        )
+        if (row === undefined) {
+            return null
+        }
+
+        try {
+            return JSON.parse(row.data)
+        } catch (err) {
+            await this.remove(key)
+            throw new Error('Unable to parse cache data')
+        }
+    }
+
+    async write(key, data) {
+        await this.getDatabase()
+        await this.run(
+            'INSERT OR REPLACE INTO coreapi_tokens (key, data, updated_at) VALUES (?, ?, ?)',
+            [key, JSON.stringify(data), Date.now()]
+        )
+        logger.debug('CoreAPI auth cache stored', { file: this.file })
+    }
+
+    async remove(key) {
+        await this.getDatabase()
+        await this.run('DELETE FROM coreapi_tokens WHERE key = ?', [key])
+    }
+
+    async withLock(key, fn) {
+        await this.getDatabase()
+        const owner = `${process.pid}-${Math.random()}`
+
+        for (;;) {
+            // Break the lock if its owner seems to have died
+            await this.run(
+                'DELETE FROM coreapi_token_locks WHERE key = ? AND created_at < ?',
+                [key, Date.now() - this.staleLockTimeout]
+            )
+            const stmt = await this.run(
+                'INSERT OR IGNORE INTO coreapi_token_locks (key, owner, created_at) VALUES (?, ?, ?)',
+                [key, owner, Date.now()]
+            )
+            if (stmt.changes === 1) {
+                break
+            }
+            await sleep(lockRetryInterval)
+        }
+
+        try {
+            return await fn()
+        } finally {
+            await this.run(
+                'DELETE FROM coreapi_token_locks WHERE key = ? AND owner = ?',
+                [key, owner]
+            )
+        }
+    }
+}
+
+module.exports = SQLiteTokenCache
@@ -0,0 +1,130 @@
+/**
+ * @file
+ * Verifies the Google ID tokens of Google Sign-In
+ *
+ * Tokens are checked against Google's keys with google-auth-library.  The
+ * check can be replaced with setOptions({verifyIdToken}), ex: by the CoreAPI
+ * stand-in, which accepts unsigned tokens so Google Sign-In can be tested
+ * offline (see standin/googletoken).
+ */
+
+const { OAuth2Client } = require('google-auth-library')
+
+/**
+ * The Google ID token is missing, invalid, or its email address can't be
+ * trusted
+ */
+class GoogleTokenError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = this.constructor.name
+    }
+}
+
+class GoogleTokenVerifier {
+    /**
+     * @param {Object} options
+     * @param {string} options.clientID - The OAuth2 client ID the tokens must be for
+     * @param {Function} options.verifyIdToken - async (token, clientID) => payload (default: google-auth-library)
+     */
+    constructor(options) {
+        this.clientID = null
+        this.verifyIdToken = null
+        this.client = null
+        this.setOptions(options)
+    }
+
+    /**
+     * Changes the options given to the constructor
+     * @param {Object} options
+     */
+    setOptions(options) {
+        options = options || {}
+        if (options.clientID !== undefined) {
+            this.clientID = options.clientID
+            this.client = null
+        }
+        if (options.verifyIdToken !== undefined) {
+            this.verifyIdToken = options.verifyIdToken
+        }
+    }
+
+    /**
+     * Checks a token's signature and audience with Google's keys
+     * @param {string} token
+     * @return {Object} Token payload
+     */
+    async verifyWithGoogle(token) {
+        if (this.client === null) {
+            this.client = new OAuth2Client(this.clientID)
+        }
+        const ticket = await this.client.verifyIdToken({
+            idToken: token,
+            audience: this.clientID,
+        })
+        return ticket.getPayload()
+    }
+
+    /**
+     * Verifies a Google ID token
+     * @example payload:
+     * {
+     *   iss: 'accounts.google.com',
+     *   azp: 'qwertyuiopasdfghjklxcvbnm.apps.googleusercontent.com',
+     *   aud: 'qwertyuiopasdfghjklxcvbnm.apps.googleusercontent.com',
+     *   sub: '01234567890123456789',
+     *   email: 'stevekamerman@gmail.com',
+     *   email_verified: true,
+     *   at_hash: 'qwertyuiopasdfghjklxcvbnm',
+     *   name: 'Steve Kamerman',
+     *   picture: 'https://lh3.googleusercontent.com/a-/qwertyuiopasdfghjklxcvbnm',
+     *   given_name: 'Steve',
+     *   family_name: 'Kamerman',
+     *   locale: 'en',
+     *   iat: 1576115199,
+     *   exp: 1576118799,
+     *   jti: 'qwertyuiopasdfghjklxcvbnm'
+     * }
+     * @param {string} token - ID token from Google Sign-In
+     * @return {Object} Token payload, with a verified email address
+     * @throws {GoogleTokenError} If the token can't be used to sign in
+     */
+    async verify(token) {
+        if (typeof token !== 'string' || token === '') {
+            throw new GoogleTokenError('Missing Google ID token')
+        }
+
+        let payload = null
+        try {
+            payload = this.verifyIdToken
+                ? await this.verifyIdToken(token, this.clientID)
+                : await this.verifyWithGoogle(token)
+        } catch (err) {
+            throw new GoogleTokenError(
+                `Google token verification failed: ${err.message}`
+            )
+        }
+
+        if (!payload || !payload.email) {
+            throw new GoogleTokenError(
+                'The Google account has no email address'
+            )
+        }
+        // Anyone can put an address they don't own in an unverified account
+        if (
+            payload.email_verified !== true &&
+            payload.email_verified !== 'true'
+        ) {
+            throw new GoogleTokenError(
+                'The email address of the Google account is not verified'
+            )
+        }
+        return payload
+    }
+}
+
+module.exports = {
+    GoogleTokenError: GoogleTokenError,
+    GoogleTokenVerifier: GoogleTokenVerifier,
+    googleTokenVerifier: new GoogleTokenVerifier(),
+}
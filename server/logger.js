@@ -0,0 +1,194 @@
+/**
+ * @file
+ * Structured JSON logging
+ *
+ * Every log entry is written to stdout as one line of JSON:
+ * {"time":"2020-11-20T10:00:00.000Z","level":"info","msg":"Login successful","requestId":"...","userID":1001}
+ *
+ * The id of the HTTP request being handled (see middleware/requestid.js) is
+ * added to every entry.  Passwords, secrets, tokens and email addresses are
+ * redacted from messages and fields before they are written, so logs are
+ * safe to ship.
+ *
+ * The minimum level is set with the LOG_LEVEL env var: debug, info (default),
+ * warn, error or silent.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks')
+
+const levels = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100,
+}
+
+// Fields with these names never have their value logged
+const sensitiveKeyRegex = /pass(word)?|secret|token|authorization|cookie/i
+
+// Email addresses are logged as f***@example.com, also when URL encoded
+const emailRegex = /([a-zA-Z0-9._%+-])[a-zA-Z0-9._%+-]*(@|%40)([a-zA-Z0-9-]+\.[a-zA-Z0-9.-]+)/g
+
+// Nested objects below this depth are not logged
+const maxDepth = 6
+
+// Holds the context of the request being handled, ex: {requestId: '...'}
+const requestContext = new AsyncLocalStorage()
+
+/**
+ * Gets the id of the HTTP request being handled, if any
+ * @return {string|undefined}
+ */
+const getRequestId = () => {
+    const context = requestContext.getStore()
+    return context ? context.requestId : undefined
+}
+
+/**
+ * Converts an error to a plain object that can be logged
+ * @param {Error} err
+ * @return {Object}
+ */
+const serializeError = (err) => {
+    let serialized = {
+        name: err.name,
+        message: err.message,
+    }
+    ;['code', 'status', 'requestId'].forEach((key) => {
+        if (err[key] !== undefined) {
+            serialized[key] = err[key]
+        }
+    })
+    if (err.response) {
+        // HTTP errors: the response says more than the stack trace
+        serialized.response = err.response.data
+    } else {
+        serialized.stack = err.stack
+    }
+    return serialized
+}
+
+/**
+ * Returns a copy of value with secrets and email addresses redacted
+ * @param {*} value
+ * @param {number} depth - Used internally for recursion
+ * @return {*}
+ */
+const redact = (value, depth) => {
+    depth = depth || 0
+    if (typeof value === 'string') {
+        return value.replace(emailRegex, '$1***$2$3')
+    }
+    if (value === null || typeof value !== 'object') {
+        return value
+    }
+    if (depth >= maxDepth) {
+        return '[truncated]'
+    }
+    if (value instanceof Error) {
+        return redact(serializeError(value), depth)
+    }
+    if (value instanceof Date) {
+        return value.toISOString()
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1))
+    }
+
+    let redacted = {}
+    for (const key in value) {
+        redacted[key] = sensitiveKeyRegex.test(key)
+            ? '[redacted]'
+            : redact(value[key], depth + 1)
+    }
+    return redacted
+}
+
+class Logger {
+    /**
+     * @param {Object} fields - Fields added to every entry, ex: {component: 'coreapi'}
+     * @param {Object} options
+     * @param {string} options.level - Minimum level, defaults to the LOG_LEVEL env var
+     * @param {Object} options.stream - Where to write entries (default: process.stdout)
+     */
+    constructor(fields, options) {
+        options = options || {}
+        this.fields = fields || {}
+        this.level = options.level || null
+        this.stream = options.stream || process.stdout
+    }
+
+    /**
+     * Creates a logger that adds the given fields to every entry
+     * @param {Object} fields
+     * @return {Logger}
+     */
+    child(fields) {
+        return new Logger(Object.assign({}, this.fields, fields), {
+            level: this.level,
+            stream: this.stream,
+        })
+    }
+
+    /**
+     * @param {string} level
+     * @return {Boolean}
+     */
+    isLevelEnabled(level) {
+        const minimum = this.level || process.env.LOG_LEVEL || 'info'
+        return levels[level] >= (levels[minimum] || levels.info)
+    }
+
+    /**
+     * Writes a log entry
+     * @param {string} level - debug, info, warn or error
+     * @param {string} msg
+     * @param {Object|Error} fields - Extra fields, an Error is logged as {err}
+     */
+    log(level, msg, fields) {
+        if (!this.isLevelEnabled(level)) {
+            return
+        }
+
+        if (fields instanceof Error) {
+            fields = { err: fields }
+        }
+
+        const entry = Object.assign(
+            {
+                time: new Date().toISOString(),
+                level: level,
+                msg: msg,
+                requestId: getRequestId(),
+            },
+            this.fields,
+            fields
+        )
+        this.stream.write(JSON.stringify(redact(entry)) + '\n')
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields)
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields)
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields)
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields)
+    }
+}
+
+module.exports = {
+    Logger: Logger,
+    logger: new Logger(),
+    requestContext: requestContext,
+    getRequestId: getRequestId,
+    redact: redact,
+}
@@ -0,0 +1,197 @@
+/**
+ * This middleware remembers where visitors came from, so new ImageEngine
+ * subscriptions can be credited to a campaign without the front end keeping
+ * track of it.
+ *
+ * The dashboard's API calls have the page they were made from as Referer,
+ * so the landing page and its UTM parameters are read from there.  The site
+ * that sent the visitor is only known to the browser: for visits to the
+ * dashboard, the referrer is only recorded if the client forwards
+ * document.referrer in the X-Document-Referrer header (see src/main.js).
+ * Links straight to the server, like the SSO link, are their own landing
+ * page, with the sending site as Referer.
+ *
+ * Each visit with campaign information is a touch.  The session keeps the
+ * first touch, from the very first visit, and the last touch, from the latest
+ * visit with UTM parameters or an external referrer.  Only the UTM parameters
+ * of the landing page are kept, never the rest of its query string.
+ */
+
+const { logger } = require('../logger')
+
+const utmParams = [
+    'utm_source',
+    'utm_medium',
+    'utm_campaign',
+    'utm_term',
+    'utm_content',
+]
+
+// Longer parameters are truncated
+const maxValueLength = 200
+
+const attributionModels = {
+    FIRST_TOUCH: 'first',
+    LAST_TOUCH: 'last',
+}
+
+let defaultModel = attributionModels.LAST_TOUCH
+
+const parseURL = (value) => {
+    if (!value) {
+        return null
+    }
+    try {
+        return new URL(value)
+    } catch (err) {
+        return null
+    }
+}
+
+// Drops the query string and fragment, which may hold tokens
+const stripURL = (url) => (url ? url.origin + url.pathname : null)
+
+/**
+ * Gets the touch of a request
+ * @param {Object} req - Express request
+ * @return {Object} Touch, or null if the request doesn't come from a page
+ */
+const getRequestTouch = (req) => {
+    const host = req.get('host')
+    const referer = parseURL(req.get('referer'))
+
+    const fromPage = referer !== null && referer.host === host
+    let landingPage = null
+    let referrer = null
+    if (fromPage) {
+        landingPage = referer
+    } else {
+        // Links straight to the server, ex: the SSO link
+        landingPage = new URL(req.originalUrl, `${req.protocol}://${host}`)
+        referrer = referer
+    }
+    const documentReferrer = parseURL(req.get('x-document-referrer'))
+    if (
+        referrer === null &&
+        documentReferrer !== null &&
+        documentReferrer.host !== host
+    ) {
+        referrer = documentReferrer
+    }
+
+    const params = new URLSearchParams()
+    utmParams.forEach((name) => {
+        const value = landingPage.searchParams.get(name)
+        if (value) {
+            params.set(name, value.substr(0, maxValueLength))
+        }
+    })
+    if (!fromPage && !params.toString() && referrer === null) {
+        // An API call without a page, ex: from a script
+        return null
+    }
+
+    return {
+        source: params.get('utm_source'),
+        medium: params.get('utm_medium'),
+        campaign: params.get('utm_campaign'),
+        term: params.get('utm_term'),
+        content: params.get('utm_content'),
+        referrer: stripURL(referrer),
+        landingPage: stripURL(landingPage),
+        queryString: params.toString(),
+        date: new Date().toISOString(),
+    }
+}
+
+// Direct visits and navigation inside the dashboard don't replace the last touch
+const hasCampaign = (touch) => touch.queryString !== '' || !!touch.referrer
+
+const isSameTouch = (a, b) =>
+    a.queryString === b.queryString && a.referrer === b.referrer
+
+/**
+ * Records a touch in the session
+ * @param {Object} session - Express session
+ * @param {Object} touch
+ */
+const recordTouch = (session, touch) => {
+    const attribution = session.attribution || {
+        firstTouch: null,
+        lastTouch: null,
+    }
+    if (attribution.firstTouch === null) {
+        attribution.firstTouch = touch
+    }
+    if (
+        attribution.lastTouch === null ||
+        (hasCampaign(touch) && !isSameTouch(attribution.lastTouch, touch))
+    ) {
+        attribution.lastTouch = touch
+        if (hasCampaign(touch)) {
+            logger.debug('Recorded campaign touch', {
+                source: touch.source,
+                campaign: touch.campaign,
+                referrer: touch.referrer,
+            })
+        }
+    }
+    session.attribution = attribution
+}
+
+module.exports = (req, res, next) => {
+    if (req.session) {
+        const touch = getRequestTouch(req)
+        if (touch !== null) {
+            recordTouch(req.session, touch)
+        }
+    }
+    next()
+}
+
+/**
+ * Sets the touch credited for new subscriptions
+ * @param {string} model - One of attributionModels
+ */
+module.exports.setModel = (model) => {
+    if (!Object.values(attributionModels).includes(model)) {
+        throw new Error(`Invalid attribution model: ${model}`)
+    }
+    defaultModel = model
+}
+
+/**
+ * Gets the touch credited for a new subscription
+ * @param {Object} session - Express session
+ * @param {string} model - One of attributionModels (default: the model set with setModel())
+ * @return {Object} Touch, or null if the session has none
+ */
+module.exports.getTouch = (session, model) => {
+    const attribution = session.attribution
+    if (!attribution) {
+        return null
+    }
+    return (model || defaultModel) === attributionModels.FIRST_TOUCH
+        ? attribution.firstTouch
+        : attribution.lastTouch
+}
+
+/**
+ * Gets a readable campaign name for a touch, from utm_campaign, utm_source
+ * or the referrer's domain, ex: 'spring_sale-2021' => 'spring sale 2021'
+ * @param {Object} touch
+ * @return {string} Campaign name, empty for direct visits
+ */
+module.exports.getCampaignName = (touch) => {
+    const name = touch.campaign || touch.source
+    if (name) {
+        return name
+            .replace(/[_+-]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+    }
+    const referrer = parseURL(touch.referrer)
+    return referrer ? referrer.hostname.replace(/^www\./, '') : ''
+}
+
+module.exports.attributionModels = attributionModels
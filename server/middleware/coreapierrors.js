@@ -0,0 +1,89 @@
+/**
+ * This middleware turns CoreAPI errors thrown by routes into API responses.
+ * Other errors are passed on to the next error handler.
+ */
+
+const errors = require('../coreapi/errors')
+const { logger } = require('../logger')
+
+// Mapping of CoreAPI error classes to response statuses and default messages.
+// The first matching class wins, so subclasses must be listed first.
+const errorResponses = [
+    {
+        type: errors.CoreApiUnavailableError,
+        status: 503,
+        message: 'CoreAPI is unavailable, please try again later',
+        exposeMessage: false,
+    },
+    {
+        type: errors.CoreApiValidationError,
+        status: 400,
+        message: 'Invalid request',
+        exposeMessage: true,
+    },
+    {
+        type: errors.CoreApiNotFoundError,
+        status: 404,
+        message: 'Resource not found',
+        exposeMessage: true,
+    },
+    {
+        type: errors.CoreApiConflictError,
+        status: 409,
+        message: 'Resource already exists',
+        exposeMessage: true,
+    },
+    {
+        // Our own CoreAPI credentials were rejected, this is not the user's fault
+        type: errors.CoreApiAuthError,
+        status: 502,
+        message: 'CoreAPI authentication error',
+        exposeMessage: false,
+    },
+    {
+        type: errors.CoreApiError,
+        status: 502,
+        message: 'CoreAPI server error',
+        exposeMessage: false,
+    },
+]
+
+/**
+ * Gets the response status and message for a CoreAPI error
+ * @param {CoreApiError} err
+ * @return {Object} {status, message}
+ */
+const describeError = (err) => {
+    const mapping = errorResponses.find((m) => err instanceof m.type)
+    return {
+        status: mapping.status,
+        message:
+            mapping.exposeMessage && err.coreApiMessage
+                ? err.coreApiMessage
+                : mapping.message,
+    }
+}
+
+module.exports = (err, req, res, next) => {
+    if (!(err instanceof errors.CoreApiError) || res.headersSent) {
+        next(err)
+        return
+    }
+
+    const description = describeError(err)
+    const response = {
+        success: false,
+        status: description.status,
+        message: description.message,
+        result: {},
+        requestId: err.requestId,
+    }
+
+    logger.warn('CoreAPI error', {
+        status: response.status,
+        err: err,
+    })
+    res.status(response.status).send(response)
+}
+
+module.exports.describeError = describeError
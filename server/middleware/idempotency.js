@@ -0,0 +1,190 @@
+/**
+ * This middleware makes a route safe to retry.  When the client sends an
+ * Idempotency-Key header, the response is stored with the key and sent
+ * again for later requests with the same key, without running the route.
+ * A request with a key that is still being handled gets a 409.
+ *
+ * Keys belong to the session, so the client must already have a session
+ * cookie.  Reusing a key with a different request body gets a 422.  Server
+ * errors (5xx) are not stored, so the request can be retried with the same
+ * key.
+ *
+ * Keys are kept in memory, so several server processes don't see each
+ * other's keys.
+ */
+
+const crypto = require('crypto')
+const { logger } = require('../logger')
+
+// Keys that don't look like this are rejected
+const idempotencyKeyRegex = /^[\x21-\x7e]{1,255}$/
+
+class IdempotencyStore {
+    /**
+     * @param {Object} options
+     * @param {number} options.ttl - Milliseconds a response is kept (default: 24 hours)
+     */
+    constructor(options) {
+        options = options || {}
+        this.ttl = options.ttl !== undefined ? options.ttl : 86400000
+        // Requests being handled, by key
+        this.pending = new Map()
+        // Stored responses by key, oldest first
+        this.responses = new Map()
+    }
+
+    /**
+     * Claims a key for a request
+     * @param {string} key
+     * @param {string} fingerprint - Hash of the request
+     * @return {Object} {state: 'new'|'pending'|'done'|'mismatch', response}
+     */
+    begin(key, fingerprint) {
+        this.prune()
+
+        const stored = this.responses.get(key) || this.pending.get(key)
+        if (stored && stored.fingerprint !== fingerprint) {
+            return { state: 'mismatch' }
+        }
+        if (this.pending.has(key)) {
+            return { state: 'pending' }
+        }
+        if (stored) {
+            return { state: 'done', response: stored.response }
+        }
+
+        this.pending.set(key, { fingerprint: fingerprint })
+        return { state: 'new' }
+    }
+
+    /**
+     * Stores the response of a claimed key
+     * @param {string} key
+     * @param {Object} response - {status, body}
+     */
+    complete(key, response) {
+        const entry = this.pending.get(key)
+        if (!entry) {
+            return
+        }
+        this.pending.delete(key)
+        this.responses.set(key, {
+            fingerprint: entry.fingerprint,
+            response: response,
+            expiresAt: Date.now() + this.ttl,
+        })
+    }
+
+    /**
+     * Frees a claimed key without storing a response
+     * @param {string} key
+     */
+    release(key) {
+        this.pending.delete(key)
+    }
+
+    // Removes expired responses.  They all have the same ttl, so they expire
+    // in the order they were stored.
+    prune() {
+        const now = Date.now()
+        for (const [key, entry] of this.responses) {
+            if (entry.expiresAt > now) {
+                break
+            }
+            this.responses.delete(key)
+        }
+    }
+}
+
+const defaultStore = new IdempotencyStore()
+
+const sendError = (res, status, message) => {
+    res.status(status).send({
+        success: false,
+        status: status,
+        message: message,
+        result: {},
+    })
+}
+
+module.exports = (req, res, next) => {
+    const idempotencyKey = req.get('idempotency-key')
+    if (idempotencyKey === undefined) {
+        next()
+        return
+    }
+    if (!idempotencyKeyRegex.test(idempotencyKey)) {
+        sendError(res, 400, 'Invalid Idempotency-Key header')
+        return
+    }
+
+    const key = [
+        req.sessionID,
+        req.method,
+        req.baseUrl + req.path,
+        idempotencyKey,
+    ].join(' ')
+    const fingerprint = crypto
+        .createHash('sha256')
+        .update(JSON.stringify(req.body || {}))
+        .digest('hex')
+
+    const claim = defaultStore.begin(key, fingerprint)
+    switch (claim.state) {
+        case 'mismatch':
+            sendError(
+                res,
+                422,
+                'This Idempotency-Key was already used for a different request'
+            )
+            return
+        case 'pending':
+            sendError(
+                res,
+                409,
+                'A request with this Idempotency-Key is still in progress'
+            )
+            return
+        case 'done':
+            logger.info('Replaying idempotent response', {
+                path: req.originalUrl,
+                status: claim.response.status,
+            })
+            res.set('Idempotent-Replayed', 'true')
+            res.status(claim.response.status).send(claim.response.body)
+            return
+    }
+
+    // Remember the body of the first send(), res.json() calls send() again
+    // with the serialized body
+    let body
+    const send = res.send
+    res.send = function(data) {
+        if (body === undefined) {
+            body = data
+        }
+        return send.call(this, data)
+    }
+
+    res.on('finish', () => {
+        if (res.statusCode < 500 && body !== undefined) {
+            defaultStore.complete(key, { status: res.statusCode, body: body })
+        } else {
+            defaultStore.release(key)
+        }
+    })
+    // The client went away before the response was sent
+    res.on('close', () => defaultStore.release(key))
+
+    next()
+}
+
+/**
+ * Sets how long responses are kept
+ * @param {number} ttl - Milliseconds
+ */
+module.exports.setTTL = (ttl) => {
+    defaultStore.ttl = ttl
+}
+
+module.exports.IdempotencyStore = IdempotencyStore
@@ -0,0 +1,36 @@
+/**
+ * This middleware gives every request a correlation id.  The id is taken from
+ * the X-Request-Id header if a proxy already set one, is sent back in the
+ * response, and is added to every log entry and CoreAPI call made while
+ * handling the request.
+ */
+
+const crypto = require('crypto')
+const { logger, requestContext } = require('../logger')
+
+// Incoming ids that don't look like this are replaced with a new one
+const requestIdRegex = /^[a-zA-Z0-9._-]{8,64}$/
+
+module.exports = (req, res, next) => {
+    const incoming = req.get('x-request-id')
+    const requestId =
+        incoming && requestIdRegex.test(incoming)
+            ? incoming
+            : crypto.randomBytes(16).toString('hex')
+
+    req.id = requestId
+    res.set('X-Request-Id', requestId)
+
+    const startedAt = Date.now()
+    res.on('finish', () => {
+        logger.info('Request completed', {
+            requestId: requestId,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            duration: Date.now() - startedAt,
+        })
+    })
+
+    requestContext.run({ requestId: requestId }, next)
+}
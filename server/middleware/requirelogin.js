@@ -0,0 +1,17 @@
+/**
+ * This middleware rejects requests that are not from a logged in user
+ */
+
+module.exports = (req, res, next) => {
+    if (!req.session.userContext || !req.session.userContext.userID) {
+        res.status(401).send({
+            success: false,
+            status: 401,
+            message: 'You must be logged in to access this resource',
+            result: {},
+        })
+        return
+    }
+
+    next()
+}
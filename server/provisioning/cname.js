@@ -0,0 +1,114 @@
+/**
+ * @file
+ * Generates the cnames of new ImageEngine domains, ex: fydzoku1.cdn
+ *
+ * With readablePrefix, the cname starts with the account name so customers
+ * can tell their domains apart, ex: foo-inc-fydzoku1.cdn
+ */
+
+const { randomString } = require('../random')
+const { logger } = require('../logger')
+
+// Longest account name prefix of a readable cname
+const maxPrefixLength = 20
+
+/**
+ * Turns an account name into a lowercase DNS label, ex: 'Café Foo, Inc.' => 'cafe-foo-inc'
+ * @param {string} accountName
+ * @return {string} Prefix, empty if the name has no usable characters
+ */
+const toPrefix = (accountName) => {
+    return (
+        String(accountName || '')
+            .normalize('NFKD')
+            // Drop the accents split off by normalize()
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .substr(0, maxPrefixLength)
+            .replace(/^-+|-+$/g, '')
+    )
+}
+
+class CnameGenerator {
+    /**
+     * @param {Object} options
+     * @param {string} options.alphabet - Characters of the random part (default: a-z and 0-9)
+     * @param {number} options.length - Length of the random part (default: 8)
+     * @param {string} options.tld - Suffix of every cname (default: 'cdn')
+     * @param {Boolean} options.readablePrefix - Start cnames with the account name (default: false)
+     * @param {number} options.maxAttempts - Cnames to try before giving up (default: 5)
+     */
+    constructor(options) {
+        this.alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789'
+        this.length = 8
+        this.tld = 'cdn'
+        this.readablePrefix = false
+        this.maxAttempts = 5
+        this.logger = logger.child({ component: 'cname' })
+        this.setOptions(options)
+    }
+
+    /**
+     * Changes the options given to the constructor
+     * @param {Object} options
+     */
+    setOptions(options) {
+        options = options || {}
+        const names = [
+            'alphabet',
+            'length',
+            'tld',
+            'readablePrefix',
+            'maxAttempts',
+        ]
+        names.forEach((name) => {
+            if (options[name] !== undefined) {
+                this[name] = options[name]
+            }
+        })
+    }
+
+    /**
+     * Gets a new random cname, without checking if it is taken
+     * @param {string} accountName - Used for the readable prefix
+     * @return {string}
+     */
+    generate(accountName) {
+        let label = randomString(this.length, this.alphabet)
+        const prefix = this.readablePrefix ? toPrefix(accountName) : ''
+        if (prefix) {
+            label = `${prefix}-${label}`
+        }
+        return `${label}.${this.tld}`
+    }
+
+    /**
+     * Gets a new random cname that no ImageEngine domain uses yet
+     * @param {Object} client - CoreAPI client
+     * @param {string} accountName - Used for the readable prefix
+     * @return {string}
+     * @throws {Error} If every attempt collided with an existing domain
+     */
+    async generateUnique(client, accountName) {
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            const cname = this.generate(accountName)
+            const existing = await client.findImageEngineDomainByCname(cname)
+            if (existing === null) {
+                return cname
+            }
+            this.logger.warn('Generated cname is already taken', {
+                cname: cname,
+                attempt: attempt,
+            })
+        }
+        throw new Error(
+            `Unable to generate an unused cname in ${this.maxAttempts} attempts`
+        )
+    }
+}
+
+module.exports = {
+    CnameGenerator: CnameGenerator,
+    cnameGenerator: new CnameGenerator(),
+}
@@ -0,0 +1,117 @@
+/**
+ * @file
+ * DNS records of ImageEngine domains
+ *
+ * A domain is served from every AWS region it has an A record for, ex:
+ * { domain: 'fydzoku1.cdn', region: 'eu-west-1', type: 'A' }
+ *
+ * By default a domain is served from every region whose Deploy is 'ALL', but
+ * any subset of the CoreAPI's regions can be picked instead, ex: only the EU
+ * regions for customers with data residency requirements.
+ */
+
+/**
+ * Gets the names of the regions new domains are served from by default
+ * @param {Array} regions - AWS regions, see CoreApiClient.getAWSRegions()
+ * @return {Array} Region names
+ */
+const getDefaultRegions = (regions) => {
+    return regions
+        .filter((region) => region.Deploy == 'ALL')
+        .map((region) => region.RegionName)
+}
+
+/**
+ * Checks region names picked by the user against the CoreAPI's regions.
+ * Without a pick, the default regions are used.
+ * @param {Object} client - CoreAPI client
+ * @param {Array} requested - Region names, ex: ['eu-west-1', 'eu-central-1'] (optional)
+ * @return {Object} {regions} with the region names, or {error} with a message
+ */
+const resolveRegions = async (client, requested) => {
+    const available = await client.getAWSRegions()
+    if (requested === undefined || requested === null) {
+        return { regions: getDefaultRegions(available) }
+    }
+
+    if (!Array.isArray(requested) || requested.length === 0) {
+        return { error: 'regions must be a non-empty array' }
+    }
+    const names = available.map((region) => region.RegionName)
+    const unknown = requested.filter((name) => !names.includes(name))
+    if (unknown.length > 0) {
+        return { error: `Unknown region(s): ${unknown.join(', ')}` }
+    }
+    return { regions: Array.from(new Set(requested)) }
+}
+
+/**
+ * Gets the A records that serve a domain from the given regions
+ * @param {string} cname - The domain's cname, ex: 'fydzoku1.cdn'
+ * @param {Array} regions - Region names
+ * @return {Array} DNS records
+ */
+const buildRecords = (cname, regions) => {
+    return regions.map((region) => ({
+        domain: cname,
+        region: region,
+        type: 'A',
+    }))
+}
+
+/**
+ * Gets the names of the regions that serve a domain
+ * @param {Array} records - The domain's DNS records
+ * @return {Array} Region names
+ */
+const getServingRegions = (records) => {
+    return records
+        .filter((record) => record.type === 'A')
+        .map((record) => record.region)
+}
+
+/**
+ * Makes a domain's A records match the given regions: records of new regions
+ * are created, existing ones are pushed again with UPDATE, and the others are
+ * deleted.  New records are created first so the domain is always served.
+ * @param {Object} client - CoreAPI client
+ * @param {string} cname - The domain's cname
+ * @param {Array} regions - Region names that must serve the domain
+ * @return {Object} {created, updated, deleted} records
+ */
+const syncRecords = async (client, cname, regions) => {
+    const serving = getServingRegions(await client.getDNSRecords(cname))
+    const changes = {
+        created: buildRecords(
+            cname,
+            regions.filter((region) => !serving.includes(region))
+        ),
+        updated: buildRecords(
+            cname,
+            regions.filter((region) => serving.includes(region))
+        ),
+        deleted: buildRecords(
+            cname,
+            serving.filter((region) => !regions.includes(region))
+        ),
+    }
+
+    if (changes.created.length > 0) {
+        await client.createDNSRecords(changes.created, 'CREATE')
+    }
+    if (changes.updated.length > 0) {
+        await client.createDNSRecords(changes.updated, 'UPDATE')
+    }
+    if (changes.deleted.length > 0) {
+        await client.createDNSRecords(changes.deleted, 'DELETE')
+    }
+    return changes
+}
+
+module.exports = {
+    getDefaultRegions: getDefaultRegions,
+    resolveRegions: resolveRegions,
+    buildRecords: buildRecords,
+    getServingRegions: getServingRegions,
+    syncRecords: syncRecords,
+}
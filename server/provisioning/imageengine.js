@@ -0,0 +1,269 @@
+/**
+ * @file
+ * Provisioning of a new ImageEngine subscription, as a saga (see ./saga)
+ *
+ * The saga's context starts with this input:
+ * {
+ *     userID: 1234,
+ *     accountName: 'Foo Inc',
+ *     planID: 'IMAGEENGINE_PRO', // see ./plans
+ *     paymentType: 'TRIAL', // 'TRIAL' or 'STANDARD', see plans.getPaymentType()
+ *     origins: [
+ *         { name: 'default', url: 'https://images.foo.com', hostname: '' },
+ *         { name: 'products', url: 'https://foo-products.s3.amazonaws.com' },
+ *     ],
+ *     domainOrigin: 'default', // name of the origin the domain uses
+ *     hostname: 'images.foo.com', // custom hostname (optional)
+ *     regions: ['eu-west-1', 'eu-central-1'], // regions serving the domain (optional, see ./dns)
+ *     demoID: '5ef5b29f-94de-4bc8-a211-34e8801174b2', // optional
+ *     demoDomain: '', // optional
+ *     demoURL: 'https://images.foo.com/', // optional
+ *     campaignName: 'spring sale', // optional
+ *     queryString: 'utm_source=foo', // optional
+ *     dateReferred: '2020-11-25T10:00:00.000Z', // when the campaign brought the user
+ *     sendPasswordReset: false,
+ * }
+ *
+ * The domain's cname is generated by the domain step, see ./cname.
+ *
+ * After a restart, the subscription, domain and DNS steps look up what an
+ * interrupted run created before they create it again.  The origins can't be
+ * looked up, so an interrupted origins step fails and the subscription is
+ * rolled back, and interrupted optional steps are reported as failed rather
+ * than sending a second lead gen referrer or email.
+ *
+ * The subscription, domain, origins and DNS records are required: if one of
+ * them can't be created, the ones created before it are removed again.  The
+ * demo run, lead gen referrer and password reset email are reported when they
+ * fail, but don't undo the subscription.
+ */
+
+const coreapi = require('../coreapi/coreapi')
+const { describeError } = require('../middleware/coreapierrors')
+const { Saga } = require('./saga')
+const { cnameGenerator } = require('./cname')
+const dns = require('./dns')
+
+// Gets the ID of the subscription created by the first step
+const getSubscriptionID = (context) =>
+    context.results.subscription.subscription.id
+
+// Gets the origin the domain uses
+const getDomainOrigin = (context) =>
+    context.origins.find((origin) => origin.name === context.domainOrigin)
+
+// Dates are sent to the CoreAPI as '2019-12-10 20:44:22'
+const formatDate = (date) =>
+    new Date(date)
+        .toISOString()
+        .replace('T', ' ')
+        .substr(0, 19)
+
+// A rollback that is resumed may try to remove things that are already gone
+const ignoreNotFound = (err) => {
+    if (!(err instanceof coreapi.errors.CoreApiNotFoundError)) {
+        throw err
+    }
+}
+
+// Step errors are shown to the user, so CoreAPI internals are left out
+const describeStepError = (err) =>
+    err instanceof coreapi.errors.CoreApiError
+        ? describeError(err).message
+        : 'Internal server error'
+
+/**
+ * Creates the ImageEngine provisioning saga
+ * @param {Object} client - CoreAPI client (default: the default CoreAPI client)
+ * @param {CnameGenerator} generator - Generator of the domain's cname (default: the default generator)
+ * @return {Saga}
+ */
+const createImageEngineSaga = (client, generator) => {
+    client = client || coreapi.defaultClient
+    generator = generator || cnameGenerator
+
+    return new Saga('imageengine-provisioning', {
+        describeError: describeStepError,
+    })
+        .step({
+            name: 'subscription',
+            // The user may already have a subscription with the same name
+            prepare: async (context) => {
+                const subscriptions = await client.getImageEngineSubscriptions(
+                    context.userID
+                )
+                context.previousSubscriptionIDs = subscriptions.map(
+                    (sub) => sub.id
+                )
+            },
+            reconcile: async (context) => {
+                const user = await client.getUserByID(context.userID, [
+                    'subscriptions',
+                ])
+                const subscription = (user.subscriptions || []).find(
+                    (sub) =>
+                        sub.type === 'imgeng' &&
+                        sub.account_name === context.accountName &&
+                        !context.previousSubscriptionIDs.includes(sub.id)
+                )
+                return subscription
+                    ? { user: user, subscription: subscription }
+                    : null
+            },
+            run: async (context) => {
+                return await client.createImageEngineSubscription({
+                    type: 'imgeng',
+                    // Jobs queued before plans could be picked have no plan
+                    plan_id: context.planID || 'IMAGEENGINE_BASIC',
+                    payment_type: context.paymentType || 'TRIAL',
+                    user_id: context.userID,
+                    account_name: context.accountName,
+                    demo_id: context.demoID,
+                    pro_standard: false,
+                    use_defaults: true,
+                })
+            },
+            compensate: async (context, result) => {
+                await client.cancelImageEngineSubscription(
+                    result.subscription.id
+                )
+            },
+        })
+        .step({
+            name: 'domain',
+            prepare: async (context) => {
+                context.cname = await generator.generateUnique(
+                    client,
+                    context.accountName
+                )
+            },
+            reconcile: async (context) => {
+                return await client.findImageEngineDomainByCname(context.cname)
+            },
+            run: async (context) => {
+                const origin = getDomainOrigin(context)
+                return await client.createImageEngineDomain({
+                    subscription_id: getSubscriptionID(context),
+                    url: origin.url,
+                    hostname: context.hostname || '',
+                    cname: context.cname,
+                    url_type: new URL(origin.url).protocol.replace(/:$/, ''),
+                    origin_conf_id: 0,
+                    iam_flag: 0,
+                    ie_only_flag: 0,
+                    allow_origin_prefix: 1,
+                    custom_wildcard_flag: 0,
+                    transition_time: 300,
+                })
+            },
+            compensate: async (context, result) => {
+                await client
+                    .deleteImageEngineDomain(result.id)
+                    .catch(ignoreNotFound)
+            },
+        })
+        .step({
+            name: 'origins',
+            run: async (context) => {
+                return await client.createImageEngineOrigins(
+                    getSubscriptionID(context),
+                    context.results.domain.id,
+                    context.origins
+                )
+            },
+            compensate: async (context, result) => {
+                for (const origin of result) {
+                    await client
+                        .deleteImageEngineOrigin(origin.id)
+                        .catch(ignoreNotFound)
+                }
+            },
+        })
+        .step({
+            name: 'dns',
+            prepare: async (context) => {
+                const regions =
+                    context.regions ||
+                    dns.getDefaultRegions(await client.getAWSRegions())
+                context.dnsRecords = dns.buildRecords(
+                    context.results.domain.cname,
+                    regions
+                )
+            },
+            // Creates the records the interrupted run didn't get to
+            reconcile: async (context) => {
+                await dns.syncRecords(
+                    client,
+                    context.results.domain.cname,
+                    dns.getServingRegions(context.dnsRecords)
+                )
+                return context.dnsRecords
+            },
+            run: async (context) => {
+                return await client.createDNSRecords(context.dnsRecords)
+            },
+            compensate: async (context) => {
+                await client.deleteDNSRecords(context.dnsRecords)
+            },
+        })
+        .step({
+            name: 'demoRun',
+            optional: true,
+            run: async (context) => {
+                return await client.createImageEngineDemoRun({
+                    subscription_id: getSubscriptionID(context),
+                    demo_id: context.demoID,
+                    domain: context.demoDomain,
+                    url: context.demoURL,
+                })
+            },
+        })
+        .step({
+            name: 'leadGen',
+            optional: true,
+            when: (context) => !!(context.queryString || context.campaignName),
+            run: async (context) => {
+                return await client.createImageEngineLeadGen({
+                    subscription_id: getSubscriptionID(context),
+                    date_referred: formatDate(
+                        context.dateReferred || Date.now()
+                    ),
+                    campaign_name: context.campaignName || '',
+                    url_query_string: context.queryString || '',
+                })
+            },
+        })
+        .step({
+            name: 'passwordReset',
+            optional: true,
+            when: (context) => context.sendPasswordReset,
+            run: async (context) => {
+                return await client.sendPasswordResetEmail({
+                    email: context.results.subscription.user.email,
+                    template: 'imageengine',
+                })
+            },
+        })
+}
+
+/**
+ * Gets the provisioned resources from the results of a successful saga
+ * @param {Object} results - Saga results
+ * @return {Object}
+ */
+const getProvisioningResult = (results) => {
+    return {
+        user: results.subscription.user,
+        subscription: results.subscription.subscription,
+        origins: results.origins,
+        domain: results.domain,
+        dns: results.dns,
+        demo: results.demoRun || null,
+        leadGen: results.leadGen || null,
+    }
+}
+
+module.exports = {
+    createImageEngineSaga: createImageEngineSaga,
+    getProvisioningResult: getProvisioningResult,
+}
@@ -0,0 +1,239 @@
+/**
+ * @file
+ * Runs provisioning sagas in the background as persistent jobs
+ *
+ * A job is stored before it starts and after every step, so after a restart
+ * resume() picks up unfinished jobs where they stopped (see Saga.execute()).
+ * A step that was running when the server stopped is only run again if it
+ * can tell that it didn't create anything yet, otherwise the job fails and
+ * is rolled back (see Saga.reconcile()).
+ *
+ * Jobs are run by the process that created them, so several server processes
+ * must not share one job store.
+ *
+ * Stored job:
+ * {
+ *     id: '2c5ea4c04e2b4b8e8a3a2d1f6c1b7c11',
+ *     type: 'imageengine',
+ *     status: 'running', // 'queued', 'running', 'succeeded' or 'failed'
+ *     userID: 1234,
+ *     requestId: '...', // Correlation id of the request that created the job
+ *     context: {...}, // Saga context: the job input and step results
+ *     steps: [{ name: 'subscription', status: 'succeeded' }, ...],
+ *     failedStep: null,
+ *     result: null, // Set when the job succeeded
+ *     createdAt: 1606300000000,
+ *     updatedAt: 1606300000000,
+ * }
+ */
+
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const { logger, requestContext, getRequestId } = require('../logger')
+const { MemoryJobStore } = require('./jobstore')
+const imageengine = require('./imageengine')
+
+const jobStatuses = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+}
+
+// The sagas that can be run as jobs, and how to get a job's result
+const jobTypes = {
+    imageengine: {
+        createSaga: () => imageengine.createImageEngineSaga(),
+        getResult: imageengine.getProvisioningResult,
+    },
+}
+
+/**
+ * Gets the public view of a job, without its internal context
+ * @param {Object} job - Stored job
+ * @return {Object}
+ */
+const describeJob = (job) => {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        steps: job.steps,
+        failedStep: job.failedStep,
+        result: job.result,
+        createdAt: new Date(job.createdAt),
+        updatedAt: new Date(job.updatedAt),
+    }
+}
+
+/**
+ * Emits 'update' with the stored job whenever a job changes
+ */
+class JobQueue extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Job store (see ./jobstore, default: in memory)
+     * @param {number} options.concurrency - How many jobs may run at the same time (default: 2)
+     */
+    constructor(options) {
+        super()
+        options = options || {}
+        this.store = options.store || new MemoryJobStore()
+        this.concurrency = options.concurrency || 2
+        this.logger = logger.child({ component: 'jobs' })
+        // Jobs waiting for a free slot, and the ids of the running ones
+        this.waiting = []
+        this.running = new Set()
+        // Every stream of job updates adds a listener
+        this.setMaxListeners(0)
+    }
+
+    /**
+     * Sets the job store (see ./jobstore)
+     * @param {Object} store
+     */
+    setStore(store) {
+        this.store = store
+    }
+
+    /**
+     * Stores a new job and starts it as soon as possible
+     * @param {string} type - Job type, ex: 'imageengine'
+     * @param {Object} input - Saga input
+     * @param {number} userID - Owner of the job
+     * @return {Object} Stored job
+     */
+    async enqueue(type, input, userID) {
+        if (!jobTypes[type]) {
+            throw new Error(`Invalid provisioning job type: ${type}`)
+        }
+
+        const now = Date.now()
+        const job = {
+            id: crypto.randomBytes(16).toString('hex'),
+            type: type,
+            status: jobStatuses.QUEUED,
+            userID: userID,
+            requestId: getRequestId(),
+            context: Object.assign({}, input),
+            steps: null,
+            failedStep: null,
+            result: null,
+            createdAt: now,
+            updatedAt: now,
+        }
+        await this.store.create(job)
+        this.logger.info('Provisioning job queued', {
+            jobID: job.id,
+            type: type,
+        })
+
+        this.schedule(job)
+        return job
+    }
+
+    /**
+     * Gets a stored job
+     * @param {string} id
+     * @return {Object} Stored job, or null
+     */
+    async get(id) {
+        return await this.store.get(id)
+    }
+
+    /**
+     * Restarts the jobs that were queued or running when the server stopped
+     * @return {number} Number of resumed jobs
+     */
+    async resume() {
+        const jobs = await this.store.listUnfinished()
+        jobs.forEach((job) => {
+            if (!this.running.has(job.id)) {
+                this.logger.info('Resuming provisioning job', {
+                    jobID: job.id,
+                    status: job.status,
+                })
+                this.schedule(job)
+            }
+        })
+        return jobs.length
+    }
+
+    /**
+     * Runs the job now if there is a free slot, or queues it
+     * @param {Object} job
+     */
+    schedule(job) {
+        if (this.running.size >= this.concurrency) {
+            this.waiting.push(job)
+            return
+        }
+
+        this.running.add(job.id)
+        // Logs and CoreAPI calls of the job carry the id of the request that
+        // created it, also after a restart
+        requestContext.run({ requestId: job.requestId || job.id }, () => {
+            this.run(job)
+                .catch((err) =>
+                    this.logger.error('Provisioning job crashed', {
+                        jobID: job.id,
+                        err: err,
+                    })
+                )
+                .finally(() => {
+                    this.running.delete(job.id)
+                    if (this.waiting.length > 0) {
+                        this.schedule(this.waiting.shift())
+                    }
+                })
+        })
+    }
+
+    /**
+     * Runs the job's saga, storing its progress after every step
+     * @param {Object} job
+     */
+    async run(job) {
+        const jobType = jobTypes[job.type]
+        const save = async () => {
+            job.updatedAt = Date.now()
+            await this.store.update(job)
+            this.emit('update', job)
+        }
+
+        job.status = jobStatuses.RUNNING
+        await save()
+
+        const outcome = await jobType.createSaga().execute(job.context, {
+            steps: job.steps,
+            onProgress: async (steps, context) => {
+                job.steps = steps
+                job.context = context
+                await save()
+            },
+        })
+
+        job.steps = outcome.steps
+        if (outcome.success) {
+            job.status = jobStatuses.SUCCEEDED
+            job.result = jobType.getResult(outcome.results)
+        } else {
+            job.status = jobStatuses.FAILED
+            job.failedStep = outcome.failedStep
+        }
+        await save()
+
+        this.logger.info('Provisioning job finished', {
+            jobID: job.id,
+            status: job.status,
+            failedStep: job.failedStep,
+        })
+    }
+}
+
+module.exports = {
+    JobQueue: JobQueue,
+    jobQueue: new JobQueue(),
+    jobStatuses: jobStatuses,
+    describeJob: describeJob,
+}
@@ -0,0 +1,43 @@
+/**
+ * @file
+ * Storage backends for provisioning jobs
+ *
+ * Every backend implements the same interface:
+ *
+ *   async create(job)        Stores a new job
+ *   async update(job)        Replaces the stored job with the same id
+ *   async get(id)            Returns the job, or null if there is none
+ *   async listUnfinished()   Returns the jobs that are queued or running
+ *
+ * Jobs are plain objects that can be serialized to JSON.  The memory backend
+ * loses its jobs on restart, so it is only meant for development.
+ */
+
+const os = require('os')
+const MemoryJobStore = require('./memorystore')
+const SQLiteJobStore = require('./sqlitestore')
+
+/**
+ * Creates a job store with the given driver
+ * @param {string} driver - 'memory' or 'sqlite'
+ * @param {string} dir - Directory for the sqlite driver (default: os.tmpdir())
+ * @return {Object} Job store
+ */
+const createJobStore = (driver, dir) => {
+    dir = dir || os.tmpdir()
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryJobStore()
+        case 'sqlite':
+            return new SQLiteJobStore({ dir: dir })
+        default:
+            throw new Error(`Invalid provisioning job store driver: ${driver}`)
+    }
+}
+
+module.exports = {
+    createJobStore: createJobStore,
+    MemoryJobStore: MemoryJobStore,
+    SQLiteJobStore: SQLiteJobStore,
+}
@@ -0,0 +1,38 @@
+/**
+ * @file
+ * Keeps provisioning jobs in memory.  Jobs are lost on restart.
+ */
+
+class MemoryJobStore {
+    constructor() {
+        this.jobs = new Map()
+    }
+
+    async create(job) {
+        // Store a copy so callers can't modify the stored job
+        this.jobs.set(job.id, JSON.stringify(job))
+    }
+
+    async update(job) {
+        this.jobs.set(job.id, JSON.stringify(job))
+    }
+
+    async get(id) {
+        if (!this.jobs.has(id)) {
+            return null
+        }
+
+        return JSON.parse(this.jobs.get(id))
+    }
+
+    async listUnfinished() {
+        return Array.from(this.jobs.values())
+            .map((data) => JSON.parse(data))
+            .filter(
+                (job) => job.status === 'queued' || job.status === 'running'
+            )
+            .sort((a, b) => a.createdAt - b.createdAt)
+    }
+}
+
+module.exports = MemoryJobStore
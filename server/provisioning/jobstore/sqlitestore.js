@@ -0,0 +1,113 @@
+/**
+ * @file
+ * Stores provisioning jobs in a SQLite database, so they survive a restart
+ */
+
+const path = require('path')
+
+const dbFile = 'provisioning-jobs.sqlite3'
+
+class SQLiteJobStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory in which to create the database
+     * @param {string} options.file - Full path to the database, overrides dir
+     */
+    constructor(options) {
+        this.file = options.file || path.join(options.dir, dbFile)
+        this.db = null
+        this.ready = null
+    }
+
+    /**
+     * Opens the database and creates the table on first use
+     * @return {Database}
+     */
+    async getDatabase() {
+        if (this.ready === null) {
+            // Only load the native module when this backend is actually used
+            const sqlite3 = require('sqlite3')
+            this.ready = new Promise((resolve, reject) => {
+                this.db = new sqlite3.Database(this.file, (err) =>
+                    err ? reject(err) : resolve()
+                )
+            }).then(async () => {
+                this.db.configure('busyTimeout', 5000)
+                await this.run(
+                    'CREATE TABLE IF NOT EXISTS provisioning_jobs (id TEXT PRIMARY KEY, status TEXT NOT NULL, data TEXT NOT NULL, created_at INTEGER NOT NULL, updated_at INTEGER NOT NULL)'
+                )
+                await this.run(
+                    'CREATE INDEX IF NOT EXISTS provisioning_jobs_status ON provisioning_jobs (status)'
+                )
+            })
+        }
+
+        await this.ready
+        return this.db
+    }
+
+    /**
+     * Promise version of Database#run()
+     * @return {Object} Statement with `changes` and `lastID`
+     */
+    run(sql, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params || [], function(err) {
+                err ? reject(err) : resolve(this)
+            })
+        })
+    }
+
+    /**
+     * Promise version of Database#all()
+     * @return {Array} Rows
+     */
+    all(sql, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params || [], (err, rows) =>
+                err ? reject(err) : resolve(rows)
+            )
+        })
+    }
+
+    async create(job) {
+        await this.getDatabase()
+        await this.run(
+            'INSERT INTO provisioning_jobs (id, status, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+            [
+                job.id,
+                job.status,
+                JSON.stringify(job),
+                job.createdAt,
+                job.updatedAt,
+            ]
+        )
+    }
+
+    async update(job) {
+        await this.getDatabase()
+        await this.run(
+            'UPDATE provisioning_jobs SET status = ?, data = ?, updated_at = ? WHERE id = ?',
+            [job.status, JSON.stringify(job), job.updatedAt, job.id]
+        )
+    }
+
+    async get(id) {
+        await this.getDatabase()
+        const rows = await this.all(
+            'SELECT data FROM provisioning_jobs WHERE id = ?',
+            [id]
+        )
+        return rows.length > 0 ? JSON.parse(rows[0].data) : null
+    }
+
+    async listUnfinished() {
+        await this.getDatabase()
+        const rows = await this.all(
+            "SELECT data FROM provisioning_jobs WHERE status IN ('queued', 'running') ORDER BY created_at"
+        )
+        return rows.map((row) => JSON.parse(row.data))
+    }
+}
+
+module.exports = SQLiteJobStore
@@ -0,0 +1,480 @@
+/**
+ * @file
+ * Checks ImageEngine origin URLs before they are used
+ *
+ * Origins are fetched by our servers, so an origin must not point into our
+ * own network: only http and https URLs are allowed, and the host must not
+ * resolve to a private, loopback, link-local or otherwise reserved address.
+ * The probe connects to the address that was checked, so the host can't
+ * change its DNS answer in between.
+ *
+ * Every check returns a diagnosis:
+ * {
+ *     ok: false,
+ *     url: 'https://images.foo.com/sample.jpg',
+ *     problem: 'not_image', // null if ok, see originProblems
+ *     message: 'The origin did not return an image (text/html)',
+ *     status: 200, // HTTP status of the probe, if it got one
+ *     contentType: 'text/html', // Content-Type of the probe, if it got one
+ * }
+ */
+
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const { logger } = require('../logger')
+
+const userAgent = `imageengine.io (OriginCheck/nodejs-${process.version}; +https://imageengine.io/)`
+
+const originProblems = {
+    INVALID_URL: 'invalid_url',
+    UNSUPPORTED_SCHEME: 'unsupported_scheme',
+    DNS_FAILURE: 'dns_failure',
+    BLOCKED_ADDRESS: 'blocked_address',
+    CONNECTION_FAILED: 'connection_failed',
+    TIMEOUT: 'timeout',
+    TLS_ERROR: 'tls_error',
+    REDIRECT: 'redirect',
+    HTTP_ERROR: 'http_error',
+    NOT_IMAGE: 'not_image',
+}
+
+// Networks an origin must not resolve to
+const blockedSubnets = [
+    ['0.0.0.0', 8, 'ipv4'], // "This" network
+    ['10.0.0.0', 8, 'ipv4'], // Private
+    ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'], // Loopback
+    ['169.254.0.0', 16, 'ipv4'], // Link-local, includes cloud metadata services
+    ['172.16.0.0', 12, 'ipv4'], // Private
+    ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+    ['192.0.2.0', 24, 'ipv4'], // Documentation (TEST-NET-1)
+    ['192.168.0.0', 16, 'ipv4'], // Private
+    ['198.18.0.0', 15, 'ipv4'], // Benchmarking
+    ['198.51.100.0', 24, 'ipv4'], // Documentation (TEST-NET-2)
+    ['203.0.113.0', 24, 'ipv4'], // Documentation (TEST-NET-3)
+    ['224.0.0.0', 4, 'ipv4'], // Multicast
+    ['240.0.0.0', 4, 'ipv4'], // Reserved and broadcast
+    ['::', 128, 'ipv6'], // Unspecified
+    ['::1', 128, 'ipv6'], // Loopback
+    ['::', 96, 'ipv6'], // IPv4-compatible (deprecated), ex: ::127.0.0.1
+    ['64:ff9b::', 96, 'ipv6'], // NAT64, reaches any IPv4 address
+    ['64:ff9b:1::', 48, 'ipv6'], // Local-use NAT64
+    ['100::', 64, 'ipv6'], // Discard-only
+    ['2001::', 32, 'ipv6'], // Teredo, embeds an IPv4 address
+    ['2001:db8::', 32, 'ipv6'], // Documentation
+    ['2002::', 16, 'ipv6'], // 6to4, reaches any IPv4 address
+    ['fc00::', 7, 'ipv6'], // Unique local
+    ['fe80::', 10, 'ipv6'], // Link-local
+    ['ff00::', 8, 'ipv6'], // Multicast
+]
+
+/**
+ * Returns the bytes of an IPv4 or IPv6 address, 4 or 16 of them
+ * @param {string} address - Valid IP address, ex: '::ffff:127.0.0.1'
+ * @return {number[]}
+ */
+const parseAddress = (address) => {
+    if (net.isIPv4(address)) {
+        return address.split('.').map(Number)
+    }
+
+    // Drop the zone index, ex: fe80::1%eth0, and write an IPv4 tail as two
+    // groups, ex: ::ffff:127.0.0.1 is ::ffff:7f00:1
+    let groups = address.replace(/%.*$/, '')
+    const ipv4Tail = groups.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/)
+    if (ipv4Tail) {
+        const [a, b, c, d] = ipv4Tail.slice(1).map(Number)
+        groups =
+            groups.slice(0, ipv4Tail.index) +
+            ((a << 8) | b).toString(16) +
+            ':' +
+            ((c << 8) | d).toString(16)
+    }
+
+    const [head, tail] = groups.split('::')
+    const headGroups = head ? head.split(':') : []
+    const tailGroups = tail ? tail.split(':') : []
+    const zeroGroups = new Array(
+        8 - headGroups.length - tailGroups.length
+    ).fill('0')
+
+    const bytes = []
+    headGroups.concat(zeroGroups, tailGroups).forEach((group) => {
+        const value = parseInt(group, 16)
+        bytes.push(value >> 8, value & 0xff)
+    })
+    return bytes
+}
+
+const blockedNetworks = blockedSubnets.map(([network, prefix]) => ({
+    bytes: parseAddress(network),
+    prefix: prefix,
+}))
+
+/**
+ * Returns true if the address is in the network
+ * @param {number[]} bytes - Address bytes, from parseAddress()
+ * @param {Object} network - {bytes, prefix}
+ * @return {Boolean}
+ */
+const inNetwork = (bytes, network) => {
+    if (bytes.length !== network.bytes.length) {
+        return false
+    }
+    for (let bit = 0; bit < network.prefix; bit += 8) {
+        const mask = 0xff & (0xff << Math.max(0, bit + 8 - network.prefix))
+        if ((bytes[bit / 8] & mask) !== (network.bytes[bit / 8] & mask)) {
+            return false
+        }
+    }
+    return true
+}
+
+// Error codes of failed DNS lookups
+const dnsErrorCodes = ['ENOTFOUND', 'EAI_AGAIN', 'ENODATA', 'ESERVFAIL']
+
+/**
+ * Returns true if the given IP address is private, loopback, link-local or
+ * otherwise not on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @return {Boolean}
+ */
+const isBlockedAddress = (address) => {
+    const family = net.isIP(address)
+    if (family === 0) {
+        return true
+    }
+
+    let bytes = parseAddress(address)
+    // IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the
+    // IPv4 networks.  The other forms that embed an IPv4 address can't be, so
+    // their networks are blocked as a whole in blockedSubnets.
+    const mappedPrefix = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff]
+    if (
+        bytes.length === 16 &&
+        mappedPrefix.every((byte, index) => bytes[index] === byte)
+    ) {
+        bytes = bytes.slice(12)
+    }
+    return blockedNetworks.some((network) => inNetwork(bytes, network))
+}
+
+const createDiagnosis = (url, problem, message, fields) => {
+    return Object.assign(
+        {
+            ok: problem === null,
+            url: url,
+            problem: problem,
+            message: message,
+            status: null,
+            contentType: null,
+        },
+        fields
+    )
+}
+
+class OriginChecker {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeout - Milliseconds the probe may take (default: 5000)
+     * @param {Boolean} options.allowPrivateAddresses - Allow origins on private networks,
+     * for local development only (default: false)
+     * @param {Function} options.lookup - DNS lookup function, same signature as dns.lookup()
+     */
+    constructor(options) {
+        this.timeout = 5000
+        this.allowPrivateAddresses = false
+        this.lookup = dns.lookup
+        this.logger = logger.child({ component: 'origincheck' })
+        this.setOptions(options)
+    }
+
+    /**
+     * Changes the options given to the constructor
+     * @param {Object} options
+     */
+    setOptions(options) {
+        options = options || {}
+        if (options.timeout !== undefined) {
+            this.timeout = options.timeout
+        }
+        if (options.allowPrivateAddresses !== undefined) {
+            this.allowPrivateAddresses = options.allowPrivateAddresses
+        }
+        if (options.lookup !== undefined) {
+            this.lookup = options.lookup
+        }
+    }
+
+    /**
+     * Resolves a hostname like dns.lookup(), but fails with code
+     * EBLOCKEDADDRESS if any of its addresses is not allowed.  Passed to
+     * http.request() so the probe connects to a checked address.
+     * @param {string} hostname
+     * @param {Object} options - dns.lookup() options
+     * @param {Function} callback - (err, address, family), or (err, addresses) if options.all
+     */
+    safeLookup(hostname, options, callback) {
+        if (typeof options === 'function') {
+            callback = options
+            options = {}
+        }
+
+        this.lookup(hostname, { all: true }, (err, addresses) => {
+            if (err) {
+                callback(err)
+                return
+            }
+            if (addresses.length === 0) {
+                const noData = new Error(`No addresses for ${hostname}`)
+                noData.code = 'ENODATA'
+                callback(noData)
+                return
+            }
+
+            const blocked = addresses.find((entry) =>
+                this.isBlocked(entry.address)
+            )
+            if (blocked) {
+                const blockedErr = new Error(
+                    `${hostname} resolves to a blocked address`
+                )
+                blockedErr.code = 'EBLOCKEDADDRESS'
+                callback(blockedErr)
+                return
+            }
+
+            if (options.all) {
+                callback(null, addresses)
+            } else {
+                callback(null, addresses[0].address, addresses[0].family)
+            }
+        })
+    }
+
+    /**
+     * Returns true if origins may not use the given address
+     * @param {string} address
+     * @return {Boolean}
+     */
+    isBlocked(address) {
+        return !this.allowPrivateAddresses && isBlockedAddress(address)
+    }
+
+    /**
+     * Checks that an origin URL is allowed: http or https, and a host that
+     * resolves to public addresses only.  Does not connect to the origin.
+     * @param {string} originURL
+     * @return {Object} Diagnosis
+     */
+    async validate(originURL) {
+        let url = null
+        try {
+            url = new URL(originURL)
+        } catch (err) {
+            return createDiagnosis(
+                String(originURL),
+                originProblems.INVALID_URL,
+                'Unable to parse origin URL'
+            )
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return createDiagnosis(
+                url.toString(),
+                originProblems.UNSUPPORTED_SCHEME,
+                'The origin URL must start with http:// or https://'
+            )
+        }
+        if (url.username || url.password) {
+            return createDiagnosis(
+                url.toString(),
+                originProblems.INVALID_URL,
+                'The origin URL must not contain credentials'
+            )
+        }
+
+        // IPv6 hosts are written in brackets, ex: http://[::1]/
+        const host = url.hostname.replace(/^\[(.*)\]$/, '$1')
+        if (net.isIP(host)) {
+            if (this.isBlocked(host)) {
+                return createDiagnosis(
+                    url.toString(),
+                    originProblems.BLOCKED_ADDRESS,
+                    'The origin must be a public address'
+                )
+            }
+        } else {
+            try {
+                await new Promise((resolve, reject) =>
+                    this.safeLookup(host, { all: true }, (err) =>
+                        err ? reject(err) : resolve()
+                    )
+                )
+            } catch (err) {
+                return this.diagnoseError(url.toString(), err)
+            }
+        }
+
+        return createDiagnosis(url.toString(), null, 'The origin URL is valid')
+    }
+
+    /**
+     * Validates an origin URL, then requests a sample image from it.  Without
+     * a sample path only the origin's root is requested, and any response
+     * below 500 counts as reachable.
+     * @param {string} originURL
+     * @param {string} samplePath - Path of an image on the origin, ex: '/products/shoe.jpg' (optional)
+     * @return {Object} Diagnosis
+     */
+    async probe(originURL, samplePath) {
+        const validation = await this.validate(originURL)
+        if (!validation.ok) {
+            return validation
+        }
+
+        let url = new URL(validation.url)
+        if (samplePath) {
+            url = new URL(
+                validation.url.replace(/\/+$/, '') +
+                    '/' +
+                    String(samplePath).replace(/^\/+/, '')
+            )
+        }
+        const target = url.toString()
+
+        let resp = null
+        try {
+            resp = await this.request(url, 'HEAD')
+            // Some servers don't implement HEAD
+            if (resp.status === 405 || resp.status === 501) {
+                resp = await this.request(url, 'GET')
+            }
+        } catch (err) {
+            this.logger.info('Origin probe failed', { url: target, err: err })
+            return this.diagnoseError(target, err)
+        }
+
+        const fields = {
+            status: resp.status,
+            contentType: resp.contentType,
+        }
+        if (resp.status >= 300 && resp.status < 400) {
+            return createDiagnosis(
+                target,
+                originProblems.REDIRECT,
+                `The origin redirects to ${resp.location || 'another URL'}`,
+                fields
+            )
+        }
+        if (resp.status >= 500 || (samplePath && resp.status >= 400)) {
+            return createDiagnosis(
+                target,
+                originProblems.HTTP_ERROR,
+                `The origin responded with HTTP status ${resp.status}`,
+                fields
+            )
+        }
+        const contentType = resp.contentType || 'no content type'
+        if (samplePath && !/^image\//i.test(contentType)) {
+            return createDiagnosis(
+                target,
+                originProblems.NOT_IMAGE,
+                `The origin did not return an image (${contentType})`,
+                fields
+            )
+        }
+
+        return createDiagnosis(target, null, 'The origin is reachable', fields)
+    }
+
+    /**
+     * Sends a request without following redirects or reading the body
+     * @param {URL} url
+     * @param {string} method
+     * @return {Object} {status, contentType, location}
+     */
+    request(url, method) {
+        const transport = url.protocol === 'https:' ? https : http
+        return new Promise((resolve, reject) => {
+            const req = transport.request(
+                url,
+                {
+                    method: method,
+                    lookup: this.safeLookup.bind(this),
+                    timeout: this.timeout,
+                    headers: {
+                        'user-agent': userAgent,
+                        accept: 'image/*',
+                    },
+                },
+                (res) => {
+                    resolve({
+                        status: res.statusCode,
+                        contentType: res.headers['content-type'] || null,
+                        location: res.headers['location'] || null,
+                    })
+                    res.destroy()
+                }
+            )
+            req.on('timeout', () => {
+                const timeoutErr = new Error('Origin probe timed out')
+                timeoutErr.code = 'ETIMEDOUT'
+                req.destroy(timeoutErr)
+            })
+            req.on('error', reject)
+            req.end()
+        })
+    }
+
+    /**
+     * Turns a lookup or request error into a diagnosis
+     * @param {string} url
+     * @param {Error} err
+     * @return {Object} Diagnosis
+     */
+    diagnoseError(url, err) {
+        const code = err.code || ''
+        if (code === 'EBLOCKEDADDRESS') {
+            return createDiagnosis(
+                url,
+                originProblems.BLOCKED_ADDRESS,
+                'The origin must resolve to a public address'
+            )
+        }
+        if (dnsErrorCodes.includes(code)) {
+            return createDiagnosis(
+                url,
+                originProblems.DNS_FAILURE,
+                'The origin hostname could not be resolved'
+            )
+        }
+        if (code === 'ETIMEDOUT') {
+            return createDiagnosis(
+                url,
+                originProblems.TIMEOUT,
+                'The origin did not respond in time'
+            )
+        }
+        if (/CERT|TLS|SSL/.test(code)) {
+            return createDiagnosis(
+                url,
+                originProblems.TLS_ERROR,
+                `The origin's TLS certificate is not valid (${code})`
+            )
+        }
+        return createDiagnosis(
+            url,
+            originProblems.CONNECTION_FAILED,
+            `Unable to connect to the origin${code ? ` (${code})` : ''}`
+        )
+    }
+}
+
+module.exports = {
+    OriginChecker: OriginChecker,
+    originChecker: new OriginChecker(),
+    originProblems: originProblems,
+    isBlockedAddress: isBlockedAddress,
+}
@@ -0,0 +1,166 @@
+/**
+ * @file
+ * The ImageEngine plans customers can pick, and how they move between them
+ *
+ * The CoreAPI has no plan catalog: a plan is only known from the plan object
+ * that comes with each subscription (see
+ * CoreApiClient.createImageEngineSubscription()).  The plans customers can
+ * pick are configured with setPlans(), in that same shape, and a plan that
+ * comes with one of the user's subscriptions replaces its configured copy, so
+ * the CoreAPI's price wins.  The allowed plans can be limited further with
+ * setAllowedPlans().
+ *
+ * A move to a more expensive plan is an upgrade, a move to a cheaper one a
+ * downgrade.  While the CoreAPI lists a downgrade in the subscription's
+ * downgrades.plan, the plan can't be changed again.
+ */
+
+const planChangeTypes = {
+    UPGRADE: 'upgrade',
+    DOWNGRADE: 'downgrade',
+}
+
+// The plan of the subscription example in the CoreAPI documentation
+let configuredPlans = [
+    {
+        plan: 'IMAGEENGINE_BASIC',
+        label: 'ImageEngine Basic',
+        name: 'ImageEngine Basic',
+        key: 'IMAGEENGINE_BASIC',
+        url: 'imageengine',
+        price: 100,
+        limit: 250,
+        overage_fee: 0.4,
+        trial_days: 30,
+        addons: {
+            bandwidth: {
+                name: 'Bandwidth',
+                price: 0.4,
+                value: 1,
+                id: 'IMAGEENGINE_BASIC_BANDWIDTH',
+                nice_name: '$0.4 per 1 GB image SmartBytes overage per month',
+            },
+        },
+    },
+]
+let allowedPlanIDs = null
+let defaultPlanID = 'IMAGEENGINE_BASIC'
+
+/**
+ * Sets the plans customers can pick
+ * @param {Array} plans - Plan objects, the same as a subscription's plan
+ */
+const setPlans = (plans) => {
+    const invalid = plans.filter(
+        (plan) => !plan || typeof plan.key !== 'string' || !(plan.price >= 0)
+    )
+    if (invalid.length > 0) {
+        throw new Error(
+            'Invalid ImageEngine plans: every plan needs a key and a price'
+        )
+    }
+    configuredPlans = plans
+}
+
+/**
+ * Limits the plans customers can pick
+ * @param {Array} planIDs - ex: ['IMAGEENGINE_BASIC', 'IMAGEENGINE_PRO'], null for all plans
+ */
+const setAllowedPlans = (planIDs) => {
+    allowedPlanIDs = planIDs
+}
+
+/**
+ * Sets the plan of new subscriptions that don't pick one
+ * @param {string} planID
+ */
+const setDefaultPlan = (planID) => {
+    defaultPlanID = planID
+}
+
+const getDefaultPlanID = () => defaultPlanID
+
+/**
+ * Gets the plans customers can pick, cheapest first
+ * @param {Array} subscriptions - The user's subscriptions, their plans replace
+ * the configured ones (optional)
+ * @return {Array} Plans
+ */
+const getPlanCatalog = (subscriptions) => {
+    let plans = new Map()
+    configuredPlans.forEach((plan) => plans.set(plan.key, plan))
+    for (const subscription of subscriptions || []) {
+        const plan = subscription.plan
+        if (plan && plans.has(plan.key)) {
+            plans.set(plan.key, plan)
+        }
+    }
+
+    return Array.from(plans.values())
+        .filter(
+            (plan) =>
+                allowedPlanIDs === null || allowedPlanIDs.includes(plan.key)
+        )
+        .sort((a, b) => a.price - b.price)
+}
+
+/**
+ * Finds a plan customers can pick
+ * @param {string} planID
+ * @param {Array} subscriptions - See getPlanCatalog() (optional)
+ * @return {Object} Plan, or null if there is no such plan or it can't be picked
+ */
+const findAllowedPlan = (planID, subscriptions) => {
+    const catalog = getPlanCatalog(subscriptions)
+    return catalog.find((plan) => plan.key === planID) || null
+}
+
+/**
+ * Gets the payment type of a new subscription: plans with trial days start
+ * as a trial, the others wait for payment information
+ * @param {Object} plan
+ * @return {string}
+ */
+const getPaymentType = (plan) => {
+    return plan.trial_days > 0 ? 'TRIAL' : 'STANDARD'
+}
+
+/**
+ * Tells if moving from one plan to another is an upgrade or a downgrade
+ * @param {Object} currentPlan
+ * @param {Object} newPlan
+ * @return {string} One of planChangeTypes
+ */
+const getPlanChangeType = (currentPlan, newPlan) => {
+    if (newPlan.price !== currentPlan.price) {
+        return newPlan.price > currentPlan.price
+            ? planChangeTypes.UPGRADE
+            : planChangeTypes.DOWNGRADE
+    }
+    return newPlan.limit >= currentPlan.limit
+        ? planChangeTypes.UPGRADE
+        : planChangeTypes.DOWNGRADE
+}
+
+/**
+ * Tells if the CoreAPI lists a downgrade the subscription is waiting for
+ * @param {Object} subscription
+ * @return {Boolean}
+ */
+const hasPendingDowngrade = (subscription) => {
+    const downgrades = subscription.downgrades || {}
+    return Array.isArray(downgrades.plan) && downgrades.plan.length > 0
+}
+
+module.exports = {
+    planChangeTypes: planChangeTypes,
+    setPlans: setPlans,
+    setAllowedPlans: setAllowedPlans,
+    setDefaultPlan: setDefaultPlan,
+    getDefaultPlanID: getDefaultPlanID,
+    getPlanCatalog: getPlanCatalog,
+    findAllowedPlan: findAllowedPlan,
+    getPaymentType: getPaymentType,
+    getPlanChangeType: getPlanChangeType,
+    hasPendingDowngrade: hasPendingDowngrade,
+}
@@ -0,0 +1,255 @@
+/**
+ * @file
+ * Runs a sequence of steps as a saga: if a step fails, the steps completed
+ * before it are undone in reverse order with their compensating actions.
+ *
+ * Every step reports one of these statuses:
+ *   pending          Not run (yet)
+ *   running          Being run
+ *   skipped          Not needed, see the step's when()
+ *   succeeded        Ran successfully (and was not undone)
+ *   failed           Threw an error
+ *   rolled_back      Ran successfully, then was undone
+ *   rollback_failed  Ran successfully, but undoing it threw an error
+ *
+ * A step that was running when the saga was interrupted may have created
+ * things before it stopped, so it is never simply run again: its reconcile()
+ * looks them up instead.  Steps without one fail, see Saga.reconcile().
+ */
+
+const { logger } = require('../logger')
+
+const stepStatuses = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    SKIPPED: 'skipped',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    ROLLED_BACK: 'rolled_back',
+    ROLLBACK_FAILED: 'rollback_failed',
+}
+
+/**
+ * A step was running when the saga was interrupted, and can't tell whether
+ * it did its work
+ */
+class StepInterruptedError extends Error {
+    constructor(stepName) {
+        super('Interrupted by a server restart')
+        this.name = this.constructor.name
+        this.stepName = stepName
+    }
+}
+
+class Saga {
+    /**
+     * @param {string} name - Used in logs, ex: 'imageengine-provisioning'
+     * @param {Object} options
+     * @param {Logger} options.logger
+     * @param {Function} options.describeError - (err) => string, the error message shown
+     * in the step report (default: err.message)
+     */
+    constructor(name, options) {
+        options = options || {}
+        this.name = name
+        this.steps = []
+        this.describeError = options.describeError || ((err) => err.message)
+        this.logger = (options.logger || logger).child({ saga: name })
+    }
+
+    /**
+     * Adds a step to the saga
+     * @param {Object} step
+     * @param {string} step.name - Unique step name, its result is stored as context.results[name]
+     * @param {Function} step.run - async (context) => result
+     * @param {Function} step.compensate - async (context, result) => void, undoes run() (optional)
+     * @param {Function} step.prepare - async (context) => void, stores in the context what
+     * reconcile() needs, before the step is marked as running (optional)
+     * @param {Function} step.reconcile - async (context) => result, finds the work of an
+     * interrupted run(), or returns null if it did nothing (optional, see Saga.reconcile())
+     * @param {Function} step.when - (context) => Boolean, the step is skipped if false (optional)
+     * @param {Boolean} step.optional - If true, a failure is reported but does not abort the saga
+     * @return {Saga}
+     */
+    step(step) {
+        this.steps.push(step)
+        return this
+    }
+
+    /**
+     * Runs the steps in order.  To resume an interrupted saga, pass the
+     * context and step report it had when it stopped: steps that succeeded
+     * are not run again, a step that was running is reconciled (see
+     * reconcile()), and an unfinished rollback is completed.
+     * @example response:
+     * {
+     *     success: false,
+     *     failedStep: 'dns',
+     *     error: CoreApiServerError, // null if resumed after the failure
+     *     steps: [
+     *         { name: 'subscription', status: 'rolled_back' },
+     *         { name: 'dns', status: 'failed', error: 'CoreAPI server error' },
+     *         { name: 'demoRun', status: 'pending' },
+     *     ],
+     *     results: { subscription: {...} },
+     * }
+     * @param {Object} context - Input for the steps, shared by all of them
+     * @param {Object} options
+     * @param {Array} options.steps - Step report of an interrupted run
+     * @param {Function} options.onProgress - async (steps, context) => void, called
+     * whenever a step changes status
+     * @return {Object}
+     */
+    async execute(context, options) {
+        options = options || {}
+        context.results = context.results || {}
+        const report =
+            options.steps ||
+            this.steps.map((step) => ({
+                name: step.name,
+                status: stepStatuses.PENDING,
+            }))
+        const progress = async () => {
+            if (options.onProgress) {
+                await options.onProgress(report, context)
+            }
+        }
+        let failure = null
+
+        for (let i = 0; i < this.steps.length; i++) {
+            const step = this.steps[i]
+            const status = report[i].status
+
+            // Already done by an interrupted run
+            if (
+                status === stepStatuses.SUCCEEDED ||
+                status === stepStatuses.SKIPPED
+            ) {
+                continue
+            }
+            if (status === stepStatuses.FAILED) {
+                if (step.optional) {
+                    continue
+                }
+                // The run was interrupted while rolling back
+                failure = { step: step.name, index: i, error: null }
+                break
+            }
+
+            if (
+                status !== stepStatuses.RUNNING &&
+                step.when &&
+                !step.when(context)
+            ) {
+                report[i].status = stepStatuses.SKIPPED
+                await progress()
+                continue
+            }
+
+            try {
+                let result = null
+                if (status === stepStatuses.RUNNING) {
+                    result = await this.reconcile(step, context)
+                }
+                if (result === null) {
+                    if (step.prepare) {
+                        await step.prepare(context)
+                    }
+                    report[i].status = stepStatuses.RUNNING
+                    await progress()
+                    result = await step.run(context)
+                }
+                context.results[step.name] = result
+                report[i].status = stepStatuses.SUCCEEDED
+                await progress()
+            } catch (err) {
+                report[i].status = stepStatuses.FAILED
+                report[i].error =
+                    err instanceof StepInterruptedError
+                        ? err.message
+                        : this.describeError(err)
+                await progress()
+                if (step.optional) {
+                    this.logger.warn(`Optional step ${step.name} failed`, err)
+                    continue
+                }
+
+                this.logger.error(`Step ${step.name} failed, rolling back`, err)
+                failure = { step: step.name, index: i, error: err }
+                break
+            }
+        }
+
+        if (failure !== null) {
+            await this.rollback(context, failure.index, report, progress)
+        }
+
+        return {
+            success: failure === null,
+            failedStep: failure ? failure.step : null,
+            error: failure ? failure.error : null,
+            steps: report,
+            results: context.results,
+        }
+    }
+
+    /**
+     * Finds out what a step that was running when the saga was interrupted
+     * did.  Running it again could create things twice, ex: a second
+     * subscription, so a step without reconcile() fails instead and the saga
+     * is rolled back.
+     * @param {Object} step
+     * @param {Object} context
+     * @return {*} Result of the interrupted run, or null if the step must be run again
+     * @throws {StepInterruptedError} If the step can't be reconciled
+     */
+    async reconcile(step, context) {
+        if (!step.reconcile) {
+            throw new StepInterruptedError(step.name)
+        }
+
+        const result = await step.reconcile(context)
+        this.logger.info(
+            result === null
+                ? `Interrupted step ${step.name} did nothing, running it again`
+                : `Interrupted step ${step.name} had finished`
+        )
+        return result
+    }
+
+    /**
+     * Undoes the steps that succeeded before the failed one, last one first
+     * @param {Object} context
+     * @param {number} failedIndex - Index of the step that failed
+     * @param {Array} report - Step statuses, updated in place
+     * @param {Function} progress - Called after every compensation
+     */
+    async rollback(context, failedIndex, report, progress) {
+        for (let i = failedIndex - 1; i >= 0; i--) {
+            const step = this.steps[i]
+            if (
+                report[i].status !== stepStatuses.SUCCEEDED ||
+                !step.compensate
+            ) {
+                continue
+            }
+
+            try {
+                await step.compensate(context, context.results[step.name])
+                report[i].status = stepStatuses.ROLLED_BACK
+            } catch (err) {
+                // Keep going, the other steps can still be undone
+                report[i].status = stepStatuses.ROLLBACK_FAILED
+                report[i].error = this.describeError(err)
+                this.logger.error(`Unable to roll back step ${step.name}`, err)
+            }
+            await progress()
+        }
+    }
+}
+
+module.exports = {
+    Saga: Saga,
+    StepInterruptedError: StepInterruptedError,
+    stepStatuses: stepStatuses,
+}
@@ -0,0 +1,150 @@
+/**
+ * @file
+ * The welcome email of new ImageEngine customers
+ *
+ * The CoreAPI renders and sends the email.  This builds its payload from the
+ * subscription, the user and what they told us about their website, and
+ * limits how often it is sent for the same subscription.
+ *
+ * Sends are counted in memory, so several server processes don't see each
+ * other's sends.
+ */
+
+// Longest accepted value of a text field
+const maxFieldLength = 255
+
+class WelcomeEmailLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxSends - Emails per subscription in a window (default: 3)
+     * @param {number} options.window - Milliseconds (default: 24 hours)
+     */
+    constructor(options) {
+        this.maxSends = 3
+        this.window = 86400000
+        // Sends by subscription ID, oldest first: {subscriptionID, sentAt}
+        this.sends = new Map()
+        this.setOptions(options)
+    }
+
+    /**
+     * Changes the options given to the constructor
+     * @param {Object} options
+     */
+    setOptions(options) {
+        options = options || {}
+        if (options.maxSends !== undefined) {
+            this.maxSends = options.maxSends
+        }
+        if (options.window !== undefined) {
+            this.window = options.window
+        }
+    }
+
+    /**
+     * Reserves a send for a subscription
+     * @param {number} subscriptionID
+     * @return {Object} {entry, retryAfter}: the reserved send, to give to
+     * release(), or a null entry and the milliseconds to wait
+     */
+    reserve(subscriptionID) {
+        const now = Date.now()
+        const sends = (this.sends.get(subscriptionID) || []).filter(
+            (entry) => entry.sentAt > now - this.window
+        )
+        if (sends.length >= this.maxSends) {
+            this.sends.set(subscriptionID, sends)
+            return {
+                entry: null,
+                retryAfter: sends[0].sentAt + this.window - now,
+            }
+        }
+
+        const entry = { subscriptionID: subscriptionID, sentAt: now }
+        sends.push(entry)
+        this.sends.set(subscriptionID, sends)
+        return { entry: entry, retryAfter: 0 }
+    }
+
+    /**
+     * Gives back a send reserved with reserve(), when the email could not be
+     * sent after all
+     * @param {Object} entry
+     */
+    release(entry) {
+        const sends = (this.sends.get(entry.subscriptionID) || []).filter(
+            (send) => send !== entry
+        )
+        if (sends.length === 0) {
+            this.sends.delete(entry.subscriptionID)
+        } else {
+            this.sends.set(entry.subscriptionID, sends)
+        }
+    }
+}
+
+// Gets a trimmed text field, or '' if it is missing
+const getText = (details, name) => {
+    const value = details[name]
+    return value === undefined || value === null ? '' : String(value).trim()
+}
+
+/**
+ * Builds the payload of a welcome email
+ * @example details:
+ * {
+ *     website: 'https://www.foo.com',
+ *     currentCMS: 'WordPress',
+ *     delivery_address: 'https://images.foo.com',
+ *     country: 'Norway', // default: the user's country
+ *     demo_id: '5ef5b29f-94de-4bc8-a211-34e8801174b2',
+ * }
+ * @param {Object} subscription - The user's ImageEngine subscription
+ * @param {Object} user - The user, with the country relation
+ * @param {Object} details - What the user told us about their website
+ * @return {Object} {payload} for CoreApiClient.sendImageEngineWelcomeEmail(),
+ * or {error} with a message
+ */
+const buildWelcomeEmail = (subscription, user, details) => {
+    details = details || {}
+    const fields = {
+        website: getText(details, 'website'),
+        current_cms: getText(details, 'currentCMS'),
+        delivery_address: getText(details, 'delivery_address'),
+        country:
+            getText(details, 'country') ||
+            (user.country ? user.country.name : ''),
+    }
+
+    const tooLong = Object.keys(fields).filter(
+        (name) => fields[name].length > maxFieldLength
+    )
+    if (tooLong.length > 0) {
+        return {
+            error: `Field(s) longer than ${maxFieldLength} characters: ${tooLong.join(
+                ', '
+            )}`,
+        }
+    }
+    if (fields.website && !/^https?:\/\/[^\s]+$/i.test(fields.website)) {
+        return { error: 'website must be an http or https URL' }
+    }
+
+    return {
+        payload: {
+            subscription_id: subscription.id,
+            user_id: user.id,
+            website: fields.website,
+            demo_id: getText(details, 'demo_id') || null,
+            current_cms: fields.current_cms,
+            delivery_address: fields.delivery_address,
+            country: fields.country,
+        },
+    }
+}
+
+module.exports = {
+    WelcomeEmailLimiter: WelcomeEmailLimiter,
+    welcomeEmailLimiter: new WelcomeEmailLimiter(),
+    buildWelcomeEmail: buildWelcomeEmail,
+}
@@ -0,0 +1,33 @@
+/**
+ * @file
+ * Cryptographically secure random strings, for generated passwords and
+ * ImageEngine domain names
+ */
+
+const crypto = require('crypto')
+
+/**
+ * Gets a random string made of the given characters.  Every character is
+ * picked with crypto.randomInt(), so all of them are equally likely.
+ * @example
+ * randomString(8, 'abcdefghijklmnopqrstuvwxyz0123456789') // 'fydzoku1'
+ * @param {number} length - Number of characters
+ * @param {string} alphabet - Characters to pick from, at least 2
+ * @return {string}
+ */
+const randomString = (length, alphabet) => {
+    const chars = Array.from(alphabet)
+    if (chars.length < 2) {
+        throw new Error('The alphabet of a random string needs 2 characters')
+    }
+
+    let retVal = ''
+    for (let i = 0; i < length; i++) {
+        retVal += chars[crypto.randomInt(chars.length)]
+    }
+    return retVal
+}
+
+module.exports = {
+    randomString: randomString,
+}
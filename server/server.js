@@ -5,6 +5,7 @@ const path = require('path')
 const express = require('express')
 const app = express()
 const configureApp = require('./configure')
+const { logger } = require('./logger')
 const root = path.resolve(__dirname, '../')
 
 //====================
@@ -39,5 +40,5 @@ app.use((req, res) => {
 //==================
 // LISTENER
 //==================
-console.log(`Starting ImageEngine control panel on port ${port}`)
+logger.info(`Starting ImageEngine control panel on port ${port}`)
 app.listen(port)
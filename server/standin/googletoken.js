@@ -0,0 +1,49 @@
+/**
+ * @file
+ * Google ID token check for offline development and tests
+ *
+ * Stand-in tokens are unsigned JWTs: only the payload is read, and it must
+ * be for the right client and not expired.  Make one with:
+ *
+ *   const payload = {
+ *       aud: 'standin',
+ *       email: 'foo@gmail.com',
+ *       email_verified: true,
+ *       given_name: 'Foo',
+ *       family_name: 'Bar',
+ *   }
+ *   const token = `x.${Buffer.from(JSON.stringify(payload)).toString('base64')}.x`
+ *
+ * Never use this against the real CoreAPI: anyone could sign in as anyone.
+ */
+
+/**
+ * Reads a stand-in Google ID token, see GoogleTokenVerifier's verifyIdToken option
+ * @param {string} token
+ * @param {string} clientID - The client ID the token must be for
+ * @return {Object} Token payload
+ */
+const verifyStandinIdToken = async (token, clientID) => {
+    const parts = token.split('.')
+    if (parts.length !== 3) {
+        throw new Error('Wrong number of segments in token')
+    }
+
+    let payload = null
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'))
+    } catch (err) {
+        throw new Error('Invalid token payload')
+    }
+    if (payload.aud !== clientID) {
+        throw new Error(`Wrong recipient, payload audience != ${clientID}`)
+    }
+    if (payload.exp !== undefined && payload.exp * 1000 < Date.now()) {
+        throw new Error('Token used too late')
+    }
+    return payload
+}
+
+module.exports = {
+    verifyStandinIdToken: verifyStandinIdToken,
+}
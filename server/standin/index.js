@@ -0,0 +1,98 @@
+/**
+ * @file
+ * Local stand-in for the ScientiaMobile CoreAPI, for offline development
+ * and tests
+ *
+ * Modes:
+ *   memory  Answer every request from in-memory state (default)
+ *   replay  Answer from recorded fixtures, fall back to in-memory state
+ *   record  Forward every request to the real CoreAPI and record the
+ *           responses as fixtures
+ *
+ * The in-memory state starts with a confirmed user demo@example.com
+ * (password: demo1234), a list of countries and AWS regions.
+ */
+
+const path = require('path')
+const express = require('express')
+const bodyParser = require('body-parser')
+const { StandinState } = require('./state')
+const { createOAuthRouter, createApiRouter } = require('./routes')
+const { createRecorder, createReplayer } = require('./recorder')
+const { logger } = require('../logger')
+
+const modes = ['memory', 'replay', 'record']
+
+const defaultFixturesDir = path.resolve(__dirname, 'fixtures')
+
+/**
+ * Creates the stand-in Express app
+ * @example options:
+ * {
+ *     mode: 'memory',
+ *     fixturesDir: '/path/to/fixtures', // replay and record modes
+ *     targetURL: 'https://staging-core.scientiamobile.com', // record mode
+ *     clientID: 'foo', // only accept this OAuth2 client (optional)
+ *     secret: 'bar',
+ * }
+ * @param {Object} options
+ * @return {Object} Express app, with the StandinState as app.locals.state
+ */
+const createStandinApp = (options) => {
+    options = Object.assign({ mode: 'memory' }, options)
+    const fixturesDir = options.fixturesDir || defaultFixturesDir
+
+    if (!modes.includes(options.mode)) {
+        throw new Error(
+            `Invalid CoreAPI stand-in mode: ${options.mode}.  Valid modes: ${modes.join(', ')}.`
+        )
+    }
+    if (options.mode === 'record' && !options.targetURL) {
+        throw new Error('The CoreAPI stand-in needs a targetURL to record')
+    }
+
+    const state = new StandinState()
+    const app = express()
+    app.locals.state = state
+    app.use(bodyParser.json())
+    app.use(bodyParser.urlencoded({ extended: false }))
+
+    if (options.mode === 'record') {
+        app.use(createRecorder(options.targetURL, fixturesDir))
+        return app
+    }
+
+    if (options.mode === 'replay') {
+        app.use(createReplayer(fixturesDir))
+    }
+
+    app.use(createOAuthRouter(state, options))
+    app.use('/api/v2', createApiRouter(state))
+    return app
+}
+
+/**
+ * Starts the stand-in on the given port
+ * @param {Object} options - See createStandinApp(), plus port
+ * @return {Promise<http.Server>}
+ */
+const startStandin = (options) => {
+    const app = createStandinApp(options)
+    return new Promise((resolve, reject) => {
+        const server = app.listen(options.port, '127.0.0.1', () => {
+            const mode = options.mode || 'memory'
+            const port = server.address().port
+            logger.info(
+                `CoreAPI stand-in (${mode}) listening on http://127.0.0.1:${port}`
+            )
+            resolve(server)
+        })
+        server.on('error', reject)
+    })
+}
+
+module.exports = {
+    createStandinApp: createStandinApp,
+    startStandin: startStandin,
+    modes: modes,
+}
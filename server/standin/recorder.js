@@ -0,0 +1,159 @@
+/**
+ * @file
+ * Records real CoreAPI responses to fixture files and replays them
+ *
+ * In record mode every request is forwarded to the real CoreAPI and its
+ * response is written to the fixtures directory.  In replay mode a request
+ * is answered from its fixture if there is one.  Requests are matched on
+ * method, path, query string and body.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const axios = require('axios')
+const crypto = require('crypto')
+const { logger } = require('../logger')
+
+// Token requests carry our credentials and are never written to disk
+const unrecordedPaths = ['/oauth/token']
+
+// Response headers worth keeping in fixtures
+const recordedHeaders = ['content-type', 'x-request-id']
+
+// Request body fields that are not written to fixtures
+const redactedFields = ['password', 'client_secret']
+
+/**
+ * Gets a copy of the request body without secrets, for fixture files.
+ * Fixtures are matched on a hash of the full body, so this is only for
+ * reading.
+ * @param {Object} body
+ * @return {Object}
+ */
+const redactBody = (body) => {
+    let redacted = Object.assign({}, body)
+    redactedFields.forEach((field) => {
+        if (redacted[field] !== undefined) {
+            redacted[field] = '[redacted]'
+        }
+    })
+    return redacted
+}
+
+/**
+ * Gets the fixture file name for a request
+ * @param {Object} req - Express request
+ * @return {string}
+ */
+const getFixtureName = (req) => {
+    const body =
+        req.body && Object.keys(req.body).length > 0
+            ? JSON.stringify(req.body)
+            : ''
+    const hash = crypto
+        .createHash('sha1')
+        .update(`${req.method} ${req.originalUrl} ${body}`)
+        .digest('hex')
+        .substr(0, 10)
+    const readable = req.path
+        .replace(/[^a-zA-Z0-9]+/g, '_')
+        .replace(/^_|_$/g, '')
+        .substr(0, 80)
+    return `${req.method.toLowerCase()}_${readable}_${hash}.json`
+}
+
+/**
+ * Creates middleware that forwards requests to the real CoreAPI and records
+ * the responses
+ * @param {string} targetURL - Real CoreAPI URL, ex: https://staging-core.scientiamobile.com
+ * @param {string} fixturesDir
+ */
+const createRecorder = (targetURL, fixturesDir) => {
+    fs.mkdirSync(fixturesDir, { recursive: true })
+
+    return async (req, res, next) => {
+        let data = req.body
+        if (req.is('application/x-www-form-urlencoded')) {
+            data = new URLSearchParams(req.body).toString()
+        } else if (Object.keys(req.body || {}).length === 0) {
+            data = undefined
+        }
+
+        let resp = null
+        try {
+            resp = await axios({
+                method: req.method,
+                url: targetURL + req.originalUrl,
+                data: data,
+                headers: {
+                    authorization: req.headers.authorization || '',
+                    'content-type': req.headers['content-type'] || '',
+                    'user-agent': req.headers['user-agent'] || '',
+                },
+                validateStatus: () => true,
+                // Keep the body exactly as the CoreAPI sent it
+                transformResponse: (body) => body,
+            })
+        } catch (err) {
+            next(err)
+            return
+        }
+
+        let headers = {}
+        recordedHeaders.forEach((name) => {
+            if (resp.headers[name] !== undefined) {
+                headers[name] = resp.headers[name]
+            }
+        })
+
+        if (!unrecordedPaths.includes(req.path)) {
+            const fixture = {
+                request: {
+                    method: req.method,
+                    url: req.originalUrl,
+                    body: redactBody(req.body),
+                },
+                response: {
+                    status: resp.status,
+                    headers: headers,
+                    body: resp.data,
+                },
+            }
+            const file = path.join(fixturesDir, getFixtureName(req))
+            fs.writeFileSync(file, JSON.stringify(fixture, '', '  '))
+            logger.info('Recorded CoreAPI fixture', {
+                component: 'standin',
+                method: req.method,
+                url: req.originalUrl,
+                file: file,
+            })
+        }
+
+        res.status(resp.status).set(headers).send(resp.data)
+    }
+}
+
+/**
+ * Creates middleware that answers requests from recorded fixtures.
+ * Requests without a fixture are passed on.
+ * @param {string} fixturesDir
+ */
+const createReplayer = (fixturesDir) => {
+    return (req, res, next) => {
+        const file = path.join(fixturesDir, getFixtureName(req))
+        if (!fs.existsSync(file)) {
+            next()
+            return
+        }
+
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'))
+        res.status(fixture.response.status)
+            .set(fixture.response.headers)
+            .send(fixture.response.body)
+    }
+}
+
+module.exports = {
+    createRecorder: createRecorder,
+    createReplayer: createReplayer,
+}
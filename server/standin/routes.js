@@ -0,0 +1,383 @@
+/**
+ * @file
+ * CoreAPI endpoints implemented by the stand-in, backed by StandinState
+ */
+
+const crypto = require('crypto')
+const express = require('express')
+const { formatDate } = require('./state')
+
+const defaultPerPage = 50
+
+const termRegex = /^([a-zA-Z_][a-zA-Z0-9_.]*)(!=|>=|<=|=|>|<|~)(.*)$/
+
+/**
+ * Sends a response in the CoreAPI envelope format
+ */
+const send = (res, status, data, message, pagination) => {
+    res.status(status).send({
+        success: status < 400,
+        type: 'eloquent',
+        message: message || '',
+        data: data === undefined ? [] : data,
+        pagination: pagination || [],
+        debug: [],
+        status: status,
+    })
+}
+
+const sendNotFound = (res, what) => {
+    send(res, 404, [], `${what} not found`)
+}
+
+/**
+ * Parses the /search:(...) and /with:(...) segments of a collection path
+ * @param {string} path - Path after the collection name
+ * @return {Object} {terms: [{field, operator, value}], relations: []}
+ */
+const parseCollectionPath = (path) => {
+    let terms = []
+    let relations = []
+
+    const search = path.match(/\/search:\(([^)]*)\)/)
+    if (search && search[1] !== '') {
+        search[1].split(',').forEach((raw) => {
+            const match = raw.match(termRegex)
+            if (match) {
+                terms.push({
+                    field: match[1],
+                    operator: match[2],
+                    value: decodeURIComponent(match[3]),
+                })
+            }
+        })
+    }
+
+    const withTerms = path.match(/\/with:\(([^)]*)\)/)
+    if (withTerms && withTerms[1] !== '') {
+        relations = withTerms[1].split(',').map(decodeURIComponent)
+    }
+
+    return { terms: terms, relations: relations }
+}
+
+/**
+ * Returns true if the item matches all the search terms
+ */
+const matchesTerms = (item, terms) => {
+    return terms.every((term) => {
+        const actual = item[term.field]
+        const expected = term.value
+        switch (term.operator) {
+            case '=':
+                return String(actual).toLowerCase() === expected.toLowerCase()
+            case '!=':
+                return String(actual).toLowerCase() !== expected.toLowerCase()
+            case '>':
+                return Number(actual) > Number(expected)
+            case '>=':
+                return Number(actual) >= Number(expected)
+            case '<':
+                return Number(actual) < Number(expected)
+            case '<=':
+                return Number(actual) <= Number(expected)
+            case '~':
+                return String(actual)
+                    .toLowerCase()
+                    .includes(expected.toLowerCase())
+        }
+        return false
+    })
+}
+
+/**
+ * Sends a page of the items that match the search in the request path
+ */
+const sendCollection = (req, res, items, prepare) => {
+    const parsed = parseCollectionPath(req.params[0] || '')
+    const matching = items.filter((item) => matchesTerms(item, parsed.terms))
+    if (matching.length === 0 && parsed.terms.length > 0) {
+        sendNotFound(res, 'Resource')
+        return
+    }
+
+    const perPage = parseInt(req.query.per_page, 10) || defaultPerPage
+    const page = parseInt(req.query.page, 10) || 1
+    const pageItems = matching
+        .slice((page - 1) * perPage, page * perPage)
+        .map((item) => (prepare ? prepare(item, parsed.relations) : item))
+
+    send(res, 200, pageItems, '', {
+        total: matching.length,
+        per_page: perPage,
+        current_page: page,
+        last_page: Math.max(1, Math.ceil(matching.length / perPage)),
+    })
+}
+
+/**
+ * Creates the router for the OAuth2 token endpoint
+ * @param {StandinState} state
+ * @param {Object} options - {clientID, secret}, any client is accepted if not set
+ */
+const createOAuthRouter = (state, options) => {
+    const router = express.Router()
+
+    router.post('/oauth/token', (req, res) => {
+        let clientID = req.body.client_id
+        let secret = req.body.client_secret
+        const basic = (req.headers.authorization || '').match(/^Basic (.+)$/)
+        if (basic) {
+            const decoded = Buffer.from(basic[1], 'base64').toString()
+            const parts = decoded.split(':')
+            clientID = decodeURIComponent(parts[0])
+            secret = decodeURIComponent(parts.slice(1).join(':'))
+        }
+
+        if (
+            (options.clientID && options.clientID !== clientID) ||
+            (options.secret && options.secret !== secret)
+        ) {
+            res.status(401).send({
+                error: 'invalid_client',
+                error_description: 'Client authentication failed',
+            })
+            return
+        }
+
+        const token = crypto.randomBytes(20).toString('hex')
+        state.tokens.add(token)
+        res.send({
+            token_type: 'Bearer',
+            expires_in: 3600,
+            access_token: token,
+        })
+    })
+
+    return router
+}
+
+/**
+ * Creates the router for the /api/v2 endpoints
+ * @param {StandinState} state
+ */
+const createApiRouter = (state) => {
+    const router = express.Router()
+
+    // Only accept tokens issued by the stand-in
+    router.use((req, res, next) => {
+        const bearer = (req.headers.authorization || '').match(/^Bearer (.+)$/)
+        if (!bearer || !state.tokens.has(bearer[1])) {
+            send(res, 401, [], 'Unauthenticated')
+            return
+        }
+        next()
+    })
+
+    router.post('/login', (req, res) => {
+        const user = state.findUserByLogin(req.body.username || '')
+        if (user === null || !state.checkPassword(user, req.body.password)) {
+            send(res, 400, [], 'Invalid username or password')
+            return
+        }
+        send(res, 200, user)
+    })
+
+    router.get(/^\/users(\/.*)?$/, (req, res) => {
+        sendCollection(req, res, state.users, (user, relations) =>
+            state.withRelations(user, relations)
+        )
+    })
+
+    router.get(/^\/user\/(\d+)(\/.*)?$/, (req, res) => {
+        const user = state.findUser(req.params[0])
+        if (user === null) {
+            sendNotFound(res, 'User')
+            return
+        }
+        const parsed = parseCollectionPath(req.params[1] || '')
+        send(res, 200, state.withRelations(user, parsed.relations))
+    })
+
+    router.post('/user', (req, res) => {
+        const attributes = (req.body.data || [])[0] || {}
+        if (!attributes.email || !attributes.password) {
+            send(res, 400, [], 'The email and password fields are required')
+            return
+        }
+        if (state.findUserByLogin(attributes.email) !== null) {
+            send(res, 400, [], 'Duplicate entry: This user already exists')
+            return
+        }
+
+        const user = state.addUser(
+            Object.assign({}, attributes, { confirmed: 0 }),
+            attributes.password
+        )
+        send(res, 201, state.withRelations(user, ['subscriptions']))
+    })
+
+    router.patch('/users/:id', (req, res) => {
+        const user = state.findUser(req.params.id)
+        if (user === null) {
+            sendNotFound(res, 'User')
+            return
+        }
+        Object.assign(user, req.body, { id: user.id })
+        send(res, 202, user)
+    })
+
+    router.post('/password_reset', (req, res) => {
+        state.emails.push({ type: 'password_reset', payload: req.body })
+        send(res, 200, [], 'Password reset email sent')
+    })
+
+    router.get(/^\/country(\/.*)?$/, (req, res) => {
+        sendCollection(req, res, state.countries)
+    })
+
+    router.post('/wit/imageengine/admin-create', (req, res) => {
+        const user = state.findUser(req.body.user_id)
+        if (user === null) {
+            sendNotFound(res, 'User')
+            return
+        }
+        if (!state.plans[req.body.plan_id]) {
+            send(res, 400, [], `Invalid plan: ${req.body.plan_id}`)
+            return
+        }
+
+        const subscription = state.addSubscription(req.body)
+        send(
+            res,
+            201,
+            {
+                user: state.withRelations(user, ['subscriptions']),
+                subscription: subscription,
+            },
+            'Subscription is set successfully'
+        )
+    })
+
+    router.patch('/subscriptions/:id', (req, res) => {
+        const subscription = state.findSubscription(req.params.id)
+        if (subscription === null) {
+            sendNotFound(res, 'Subscription')
+            return
+        }
+        if (req.body.payment_plan !== undefined) {
+            const plan = state.plans[req.body.payment_plan]
+            if (!plan) {
+                send(res, 400, [], `Invalid plan: ${req.body.payment_plan}`)
+                return
+            }
+            subscription.payment_plan = plan.key
+            subscription.plan = plan
+        }
+        if (req.body.status !== undefined) {
+            subscription.status = req.body.status
+        }
+        subscription.date_last_modified = formatDate()
+        send(res, 200, subscription)
+    })
+
+    router.post('/wit/imageengine/demo-run', (req, res) => {
+        send(res, 201, state.addResource('demoRuns', 'demoRun', req.body))
+    })
+
+    router.post('/wit/imageengine/add-lead-gen', (req, res) => {
+        send(res, 201, state.addResource('leadGens', 'leadGen', req.body))
+    })
+
+    router.post('/wit/imageengine/send-welcome-email', (req, res) => {
+        state.emails.push({ type: 'welcome', payload: req.body })
+        send(res, 200, [], 'Welcome email sent')
+    })
+
+    router.get('/wit/imageengine/aws/regions', (req, res) => {
+        send(res, 200, state.regions)
+    })
+
+    router.get(/^\/wit\/imageengine\/resource\/record(\/.*)?$/, (req, res) => {
+        sendCollection(req, res, state.dnsRecords)
+    })
+
+    router.post('/wit/imageengine/resource/record', (req, res) => {
+        const records = req.body.records || []
+        records.forEach((record) => {
+            state.dnsRecords = state.dnsRecords.filter(
+                (r) =>
+                    r.domain !== record.domain ||
+                    r.region !== record.region ||
+                    r.type !== record.type
+            )
+            if (req.body.action !== 'DELETE') {
+                state.dnsRecords.push(record)
+            }
+        })
+        send(res, 200, records, 'DNS records updated')
+    })
+
+    // Origins and domain configurations share the same CRUD behavior
+    const resources = [
+        { path: 'wit_origins', list: 'origins', type: 'origin' },
+        { path: 'wit_domain_confs', list: 'domains', type: 'domain' },
+    ]
+    resources.forEach((resource) => {
+        router.post(`/${resource.path}`, (req, res) => {
+            if (state.findSubscription(req.body.subscription_id) === null) {
+                send(res, 400, [], 'Invalid subscription_id')
+                return
+            }
+            send(
+                res,
+                201,
+                state.addResource(resource.list, resource.type, req.body)
+            )
+        })
+
+        // Collection, optionally with /search:(...) and /with:(...)
+        const collectionPath = new RegExp(`^/${resource.path}(/(?!\\d).*)?$`)
+        router.get(collectionPath, (req, res) => {
+            sendCollection(req, res, state[resource.list])
+        })
+
+        router.get(`/${resource.path}/:id(\\d+)`, (req, res) => {
+            const found = state.findResource(resource.list, req.params.id)
+            if (found === null) {
+                sendNotFound(res, resource.type)
+                return
+            }
+            send(res, 200, found)
+        })
+
+        router.patch(`/${resource.path}/:id(\\d+)`, (req, res) => {
+            const found = state.findResource(resource.list, req.params.id)
+            if (found === null) {
+                sendNotFound(res, resource.type)
+                return
+            }
+            send(res, 200, state.updateResource(found, req.body))
+        })
+
+        router.delete(`/${resource.path}/:id(\\d+)`, (req, res) => {
+            if (!state.removeResource(resource.list, req.params.id)) {
+                sendNotFound(res, resource.type)
+                return
+            }
+            send(res, 200, [], `${resource.type} deleted`)
+        })
+    })
+
+    router.use((req, res) => {
+        sendNotFound(res, `Route ${req.method} ${req.path}`)
+    })
+
+    return router
+}
+
+module.exports = {
+    createOAuthRouter: createOAuthRouter,
+    createApiRouter: createApiRouter,
+    parseCollectionPath: parseCollectionPath,
+}
@@ -0,0 +1,19 @@
+//==================
+// CoreAPI stand-in
+//==================
+// Runs the CoreAPI stand-in on its own:
+//   COREAPI_STANDIN=memory node server/standin/server.js
+// To record fixtures from a real CoreAPI:
+//   COREAPI_STANDIN=record COREAPI_STANDIN_TARGET=https://staging-core.scientiamobile.com node server/standin/server.js
+const { startStandin } = require('./index')
+const { logger } = require('../logger')
+
+startStandin({
+    mode: process.env.COREAPI_STANDIN || 'memory',
+    port: process.env.COREAPI_STANDIN_PORT || 3100,
+    targetURL: process.env.COREAPI_STANDIN_TARGET,
+    fixturesDir: process.env.COREAPI_STANDIN_FIXTURES,
+}).catch((err) => {
+    logger.error('Unable to start the CoreAPI stand-in', err)
+    process.exit(1)
+})
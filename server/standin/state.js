@@ -0,0 +1,250 @@
+/**
+ * @file
+ * In-memory data for the CoreAPI stand-in
+ */
+
+const plans = {
+    IMAGEENGINE_BASIC: {
+        plan: 'IMAGEENGINE_BASIC',
+        label: 'ImageEngine Basic',
+        name: 'ImageEngine Basic',
+        key: 'IMAGEENGINE_BASIC',
+        url: 'imageengine',
+        price: 100,
+        limit: 250,
+        overage_fee: 0.4,
+        trial_days: 30,
+        addons: {
+            bandwidth: {
+                name: 'Bandwidth',
+                price: 0.4,
+                value: 1,
+                id: 'IMAGEENGINE_BASIC_BANDWIDTH',
+                nice_name: '$0.4 per 1 GB image SmartBytes overage per month',
+            },
+        },
+    },
+    IMAGEENGINE_PRO: {
+        plan: 'IMAGEENGINE_PRO',
+        label: 'ImageEngine Pro',
+        name: 'ImageEngine Pro',
+        key: 'IMAGEENGINE_PRO',
+        url: 'imageengine',
+        price: 300,
+        limit: 1000,
+        overage_fee: 0.3,
+        trial_days: 30,
+        addons: {
+            bandwidth: {
+                name: 'Bandwidth',
+                price: 0.3,
+                value: 1,
+                id: 'IMAGEENGINE_PRO_BANDWIDTH',
+                nice_name: '$0.3 per 1 GB image SmartBytes overage per month',
+            },
+        },
+    },
+}
+
+const countries = [
+    { country_id: 13, code: 'AU', name: 'Australia' },
+    { country_id: 38, code: 'CA', name: 'Canada' },
+    { country_id: 73, code: 'FR', name: 'France' },
+    { country_id: 80, code: 'DE', name: 'Germany' },
+    { country_id: 99, code: 'IN', name: 'India' },
+    { country_id: 109, code: 'JP', name: 'Japan' },
+    { country_id: 150, code: 'NL', name: 'Netherlands' },
+    { country_id: 160, code: 'NO', name: 'Norway' },
+    { country_id: 229, code: 'GB', name: 'United Kingdom' },
+    { country_id: 230, code: 'US', name: 'United States' },
+]
+
+const regions = [
+    { RegionName: 'us-east-1', Deploy: 'ALL' },
+    { RegionName: 'us-east-2', Deploy: 'ALL' },
+    { RegionName: 'us-west-2', Deploy: 'ALL' },
+    { RegionName: 'eu-west-1', Deploy: 'ALL' },
+    { RegionName: 'eu-central-1', Deploy: 'ALL' },
+    { RegionName: 'ap-southeast-1', Deploy: 'ALL' },
+    { RegionName: 'ap-northeast-1', Deploy: 'NONE' },
+]
+
+// Formats a date the way the CoreAPI does: 2019-12-10 20:44:22
+const formatDate = (date) => {
+    return (date || new Date()).toISOString().replace('T', ' ').substr(0, 19)
+}
+
+class StandinState {
+    constructor() {
+        this.ids = {}
+        this.users = []
+        this.passwords = {}
+        this.subscriptions = []
+        this.origins = []
+        this.domains = []
+        this.demoRuns = []
+        this.leadGens = []
+        this.dnsRecords = []
+        this.emails = []
+        this.tokens = new Set()
+        this.countries = countries.slice()
+        this.regions = regions.slice()
+        this.plans = plans
+
+        this.addUser(
+            {
+                username: 'demo@example.com',
+                email: 'demo@example.com',
+                first_name: 'Demo',
+                last_name: 'User',
+                country_id: 230,
+                confirmed: 1,
+            },
+            'demo1234'
+        )
+    }
+
+    nextID(type) {
+        this.ids[type] = (this.ids[type] || 1000) + 1
+        return this.ids[type]
+    }
+
+    addUser(attributes, password) {
+        const user = Object.assign(
+            {
+                username: attributes.email,
+                email: '',
+                first_name: null,
+                middle_name: null,
+                last_name: null,
+                company_name: null,
+                phone: null,
+                country_id: 230,
+                enabled: 1,
+                user_type: 0,
+                confirmed: 0,
+                user_roles: null,
+            },
+            attributes,
+            { id: this.nextID('user') }
+        )
+        delete user.password
+        this.users.push(user)
+        this.passwords[user.id] = password
+        return user
+    }
+
+    findUser(id) {
+        return this.users.find((user) => user.id == id) || null
+    }
+
+    findUserByLogin(login) {
+        login = String(login).toLowerCase()
+        return (
+            this.users.find(
+                (user) =>
+                    user.email.toLowerCase() === login ||
+                    String(user.username).toLowerCase() === login
+            ) || null
+        )
+    }
+
+    checkPassword(user, password) {
+        return this.passwords[user.id] === password
+    }
+
+    /**
+     * Gets a user with the requested relationships
+     */
+    withRelations(user, relations) {
+        let result = Object.assign({}, user)
+        if (relations.includes('subscriptions')) {
+            result.subscriptions = this.subscriptions.filter(
+                (sub) => sub.user_id === user.id
+            )
+        }
+        if (relations.includes('country')) {
+            result.country =
+                this.countries.find((c) => c.country_id == user.country_id) ||
+                null
+        }
+        return result
+    }
+
+    addSubscription(attributes) {
+        const plan = this.plans[attributes.plan_id] || null
+        const now = formatDate()
+        const subscription = {
+            id: this.nextID('subscription'),
+            user_id: attributes.user_id,
+            account_name: attributes.account_name || '',
+            vault_customer_id: null,
+            vault_subscription_id: null,
+            payment_type: attributes.payment_type,
+            payment_plan: attributes.plan_id,
+            payment_method_token: null,
+            num_capability_addons: 0,
+            date_started: now,
+            date_last_payment: null,
+            date_expiration: null,
+            status: 'PENDING_PAYMENT_INFORMATION',
+            status_type: null,
+            date_last_modified: now,
+            date_trial_end: null,
+            type: attributes.type,
+            image_engine_tier_id: 1,
+            payment_link: Math.random().toString(36).substr(2),
+            wit_crb_id: null,
+            plan: plan,
+            plan_changes: [],
+            extras: [],
+            downgrades: {
+                plan: [],
+                tier: [],
+            },
+        }
+        this.subscriptions.push(subscription)
+        return subscription
+    }
+
+    findSubscription(id) {
+        return this.subscriptions.find((sub) => sub.id == id) || null
+    }
+
+    /**
+     * Adds a row to one of the simple resource lists (origins, domains, ...)
+     */
+    addResource(list, type, attributes) {
+        const now = formatDate()
+        const resource = Object.assign({}, attributes, {
+            updated_at: now,
+            created_at: now,
+            id: this.nextID(type),
+        })
+        this[list].push(resource)
+        return resource
+    }
+
+    findResource(list, id) {
+        return this[list].find((resource) => resource.id == id) || null
+    }
+
+    updateResource(resource, changes) {
+        Object.assign(resource, changes, { updated_at: formatDate() })
+        return resource
+    }
+
+    removeResource(list, id) {
+        const index = this[list].findIndex((resource) => resource.id == id)
+        if (index === -1) {
+            return false
+        }
+        this[list].splice(index, 1)
+        return true
+    }
+}
+
+module.exports = {
+    StandinState: StandinState,
+    formatDate: formatDate,
+}
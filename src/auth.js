@@ -0,0 +1,59 @@
+import axios from 'axios'
+
+// The logged in user from GET /api/v1/coreapi/me, null for visitors and
+// undefined until it was asked
+let session
+
+/**
+ * Gets the logged in user, asking the server the first time
+ * @param {Boolean} force - Ask the server again
+ * @return {Object} {userContext, user}, or null if nobody is logged in
+ */
+export async function getSession(force) {
+  if (session === undefined || force) {
+    try {
+      const resp = await axios.get('/api/v1/coreapi/me')
+      session = resp.data.result
+    } catch (err) {
+      if (!err.response || err.response.status !== 401) {
+        throw err
+      }
+      session = null
+    }
+  }
+  return session
+}
+
+/**
+ * Forgets the logged in user, after logging in or out
+ */
+export function clearSession() {
+  session = undefined
+}
+
+/**
+ * Gets where to go after logging in: the ?redirect= page, if it is one of ours
+ * @param {Object} route - The current route
+ * @return {string} Path
+ */
+export function getRedirectPath(route) {
+  const redirect = route.query.redirect
+  if (typeof redirect === 'string' && redirect.startsWith('/') && !redirect.startsWith('//')) {
+    return redirect
+  }
+  return '/dashboard'
+}
+
+/**
+ * Signs in with GitHub in a popup.  Once the GitHub account is in the session,
+ * the server's OAuth callback calls window.completeGithub() and closes it.
+ * @param {Function} callback - Called when the GitHub account is ready, see
+ * the github option of POST /api/v1/coreapi/user
+ */
+export function openGithubSignIn(callback) {
+  window.completeGithub = () => {
+    delete window.completeGithub
+    callback()
+  }
+  window.open('/api/v1/auth/sso/github-url', 'github-sign-in', 'width=600,height=700')
+}
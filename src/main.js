@@ -16,6 +16,7 @@
 
 */
 import Vue from 'vue'
+import axios from 'axios'
 import App from './App.vue'
 import router from './router'
 import './registerServiceWorker'
@@ -23,6 +24,11 @@ import ArgonDashboard from './plugins/argon-dashboard'
 
 Vue.config.productionTip = false
 
+// The server can't see the site that sent the visitor, see server/middleware/attribution.js
+if (document.referrer) {
+  axios.defaults.headers.common['X-Document-Referrer'] = document.referrer
+}
+
 Vue.use(ArgonDashboard)
 new Vue({
   router,
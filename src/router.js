@@ -2,9 +2,12 @@ import Vue from 'vue'
 import Router from 'vue-router'
 import DashboardLayout from '@/layout/DashboardLayout'
 import AuthLayout from '@/layout/AuthLayout'
+import { getSession, getRedirectPath } from '@/auth'
 Vue.use(Router)
 
-export default new Router({
+// Routes with meta.requiresAuth are for logged in users, routes with
+// meta.guestOnly for visitors
+const router = new Router({
   linkExactActiveClass: 'active',
   routes: [
     {
@@ -15,6 +18,7 @@ export default new Router({
         {
           path: '/dashboard',
           name: 'dashboard',
+          meta: { requiresAuth: true },
           // route level code-splitting
           // this generates a separate chunk (about.[hash].js) for this route
           // which is lazy-loaded when the route is visited.
@@ -23,21 +27,48 @@ export default new Router({
         {
           path: '/icons',
           name: 'icons',
+          meta: { requiresAuth: true },
           component: () => import(/* webpackChunkName: "demo" */ './views/Icons.vue')
         },
         {
           path: '/profile',
           name: 'profile',
+          meta: { requiresAuth: true },
           component: () => import(/* webpackChunkName: "demo" */ './views/UserProfile.vue')
         },
         {
           path: '/maps',
           name: 'maps',
+          meta: { requiresAuth: true },
           component: () => import(/* webpackChunkName: "demo" */ './views/Maps.vue')
         },
+        {
+          path: '/settings',
+          name: 'settings',
+          meta: { requiresAuth: true },
+          component: () => import(/* webpackChunkName: "demo" */ './views/Settings.vue')
+        },
+        {
+          path: '/activity',
+          name: 'activity',
+          meta: { requiresAuth: true },
+          component: () => import(/* webpackChunkName: "demo" */ './views/Activity.vue')
+        },
+        {
+          path: '/support',
+          name: 'support',
+          meta: { requiresAuth: true },
+          component: () => import(/* webpackChunkName: "demo" */ './views/Support.vue')
+        },
+        {
+          path: '/plans',
+          name: 'plans',
+          component: () => import(/* webpackChunkName: "demo" */ './views/Plans.vue')
+        },
         {
           path: '/tables',
           name: 'tables',
+          meta: { requiresAuth: true },
           component: () => import(/* webpackChunkName: "demo" */ './views/Tables.vue')
         }
       ]
@@ -50,14 +81,50 @@ export default new Router({
         {
           path: '/login',
           name: 'login',
+          meta: { guestOnly: true },
           component: () => import(/* webpackChunkName: "demo" */ './views/Login.vue')
         },
         {
           path: '/register',
           name: 'register',
+          meta: { guestOnly: true },
           component: () => import(/* webpackChunkName: "demo" */ './views/Register.vue')
+        },
+        {
+          path: '/forgot-password',
+          name: 'forgot-password',
+          meta: { guestOnly: true },
+          component: () => import(/* webpackChunkName: "demo" */ './views/ForgotPassword.vue')
         }
       ]
     }
   ]
 })
+
+router.beforeEach(async (to, from, next) => {
+  const requiresAuth = to.matched.some((route) => route.meta.requiresAuth)
+  const guestOnly = to.matched.some((route) => route.meta.guestOnly)
+  if (!requiresAuth && !guestOnly) {
+    next()
+    return
+  }
+
+  let session = null
+  try {
+    session = await getSession()
+  } catch (err) {
+    // The server can't be reached, let the page report it
+    next()
+    return
+  }
+
+  if (requiresAuth && session === null) {
+    next({ path: '/login', query: { redirect: to.fullPath } })
+  } else if (guestOnly && session !== null) {
+    next(getRedirectPath(to))
+  } else {
+    next()
+  }
+})
+
+export default router